@@ -24,6 +24,12 @@ import { apiLimiter, authLimiter, reportLimiter } from "./middlewares/rateLimite
 import { initializeSocket } from "./services/socketService.js";
 import { verifyEmailConfig } from "./services/emailService.js";
 
+// Import background jobs
+import { initializeNotificationQueue } from "./jobs/notificationQueue.js";
+import { initializeViewFlushJob } from "./jobs/viewFlushJob.js";
+import { initializeReportExpiryJob } from "./jobs/reportExpiryJob.js";
+import { initializeMediaCleanupJob } from "./jobs/mediaCleanupJob.js";
+
 // Import database
 import connectDB from "./db/connection.js";
 
@@ -33,6 +39,12 @@ const httpServer = createServer(app);
 // Initialize Socket.io
 const io = initializeSocket(httpServer);
 
+// Initialize background job queues
+initializeNotificationQueue();
+initializeViewFlushJob();
+initializeReportExpiryJob();
+initializeMediaCleanupJob();
+
 // Security middleware
 app.use(helmet());
 
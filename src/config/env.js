@@ -25,7 +25,7 @@ const env = {
         refreshExpiry: process.env.JWT_REFRESH_EXPIRY || "7d",
     },
 
-    // AWS S3 (Legacy - replaced by UploadThing)
+    // AWS credentials (s3 storage driver)
     aws: {
         accessKeyId: process.env.AWS_ACCESS_KEY_ID,
         secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
@@ -39,6 +39,23 @@ const env = {
         appId: process.env.UPLOADTHING_APP_ID,
     },
 
+    // File storage: "uploadthing", "s3" (any S3-compatible service) or "local"
+    storage: {
+        driver: process.env.STORAGE_DRIVER || "uploadthing",
+        s3: {
+            bucket: process.env.AWS_BUCKET_NAME || "campus-safety-media",
+            endpoint: process.env.S3_ENDPOINT, // e.g. a MinIO server; AWS when unset
+            publicUrl: process.env.S3_PUBLIC_URL, // Public base URL of the bucket (required)
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+        },
+        local: {
+            directory: process.env.LOCAL_STORAGE_DIR || "./uploads",
+            publicUrl:
+                process.env.LOCAL_STORAGE_PUBLIC_URL ||
+                `http://localhost:${process.env.PORT || "5000"}/uploads/files`,
+        },
+    },
+
     // Firebase
     fcm: {
         serviceAccountPath: process.env.FCM_SERVICE_ACCOUNT_PATH || "./config/fcm-service-account.json",
@@ -71,6 +88,32 @@ const env = {
         minSeverityForPush: parseInt(process.env.MINIMUM_SEVERITY_FOR_PUSH || "4", 10),
     },
 
+    // Duplicate detection
+    duplicates: {
+        radiusMeters: parseInt(process.env.DUPLICATE_RADIUS_METERS || "200", 10),
+        windowMinutes: parseInt(process.env.DUPLICATE_WINDOW_MINUTES || "60", 10),
+    },
+
+    // Report views
+    views: {
+        uniqueWindowMinutes: parseInt(process.env.VIEW_UNIQUE_WINDOW_MINUTES || "60", 10),
+        flushIntervalSeconds: parseInt(process.env.VIEW_FLUSH_INTERVAL_SECONDS || "30", 10),
+    },
+
+    // Report expiry
+    expiry: {
+        checkIntervalMinutes: parseInt(process.env.EXPIRY_CHECK_INTERVAL_MINUTES || "15", 10),
+    },
+
+    // Uploaded media
+    media: {
+        orphanTtlHours: parseInt(process.env.MEDIA_ORPHAN_TTL_HOURS || "24", 10),
+        cleanupIntervalMinutes: parseInt(process.env.MEDIA_CLEANUP_INTERVAL_MINUTES || "60", 10),
+        // Photo GPS/timestamp differences from the report that get flagged
+        gpsMismatchMeters: parseInt(process.env.MEDIA_GPS_MISMATCH_METERS || "500", 10),
+        timestampMismatchHours: parseInt(process.env.MEDIA_TIMESTAMP_MISMATCH_HOURS || "24", 10),
+    },
+
     // Frontend
     frontendUrl: process.env.FRONTEND_URL || "http://localhost:5173",
 
@@ -86,10 +129,9 @@ if (env.nodeEnv === "production") {
     const required = [
         "JWT_SECRET",
         "MONGODB_URI",
-        "AWS_ACCESS_KEY_ID",
-        "AWS_SECRET_ACCESS_KEY",
         "MAPBOX_ACCESS_TOKEN",
     ];
+    if (env.storage.driver === "s3") required.push("AWS_ACCESS_KEY_ID", "AWS_SECRET_ACCESS_KEY", "S3_PUBLIC_URL");
 
     const missing = required.filter((key) => !process.env[key]);
     if (missing.length > 0) {
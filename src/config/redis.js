@@ -0,0 +1,46 @@
+import Redis from "ioredis";
+import env from "./env.js";
+
+let client = null;
+let hasLoggedError = false;
+
+/**
+ * Get the shared Redis client (created on first use)
+ * Commands fail fast instead of queueing while Redis is unreachable.
+ */
+export const getRedisClient = () => {
+    if (client) return client;
+
+    client = new Redis({
+        host: env.redis.host,
+        port: env.redis.port,
+        password: env.redis.password,
+        maxRetriesPerRequest: 1,
+        enableOfflineQueue: false,
+    });
+
+    client.on("ready", () => {
+        hasLoggedError = false;
+        console.log("✔ Redis connected");
+    });
+
+    client.on("error", (error) => {
+        // Avoid flooding logs while reconnecting
+        if (!hasLoggedError) {
+            console.warn("⚠️  Redis unavailable:", error.message);
+            hasLoggedError = true;
+        }
+    });
+
+    return client;
+};
+
+/**
+ * Check if Redis is connected and accepting commands
+ */
+export const isRedisReady = () => getRedisClient().status === "ready";
+
+export default {
+    getRedisClient,
+    isRedisReady,
+};
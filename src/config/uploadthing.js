@@ -1,9 +1,24 @@
 import { createUploadthing } from "uploadthing/express";
 import env from "../config/env.js";
+import { recordUpload, stripReportImage } from "../services/mediaService.js";
 
 // Initialize UploadThing
 const f = createUploadthing();
 
+/**
+ * Persist the upload as a MediaAsset
+ * A failed insert is logged rather than failing an upload that already succeeded.
+ */
+const trackUpload = async (uploadType, metadata, file, sanitized) => {
+    try {
+        const asset = await recordUpload(uploadType, metadata, file, sanitized);
+        return asset._id;
+    } catch (error) {
+        console.error(`Failed to record ${uploadType} upload ${file.key}:`, error.message);
+        return null;
+    }
+};
+
 /**
  * UploadThing File Router
  * Defines upload endpoints and their configurations
@@ -30,15 +45,24 @@ export const uploadRouter = {
         })
         .onUploadComplete(async ({ metadata, file }) => {
             console.log("✅ Upload complete for userId:", metadata.userId);
-            console.log("📁 File URL:", file.url);
+            console.log("📁 File URL:", file.ufsUrl || file.url);
+
+            // Strip EXIF (device, home location) before the photo is used anywhere;
+            // formats that can't be cleaned (e.g. HEIC) are deleted and rejected
+            const { file: storedFile, embeddedMetadata } = await stripReportImage(file);
+            const assetId = await trackUpload("reportImage", metadata, storedFile, {
+                metadataStripped: true,
+                embeddedMetadata,
+            });
 
             // Return data to client
             return {
+                assetId,
                 uploadedBy: metadata.userId,
-                url: file.url,
-                key: file.key,
-                name: file.name,
-                size: file.size,
+                url: storedFile.ufsUrl || storedFile.url,
+                key: storedFile.key,
+                name: storedFile.name,
+                size: storedFile.size,
             };
         }),
 
@@ -61,11 +85,14 @@ export const uploadRouter = {
         })
         .onUploadComplete(async ({ metadata, file }) => {
             console.log("✅ Video upload complete for userId:", metadata.userId);
-            console.log("📁 Video URL:", file.url);
+            console.log("📁 Video URL:", file.ufsUrl || file.url);
+
+            const assetId = await trackUpload("reportVideo", metadata, file);
 
             return {
+                assetId,
                 uploadedBy: metadata.userId,
-                url: file.url,
+                url: file.ufsUrl || file.url,
                 key: file.key,
                 name: file.name,
                 size: file.size,
@@ -86,15 +113,19 @@ export const uploadRouter = {
 
             return {
                 userId: req.userId,
+                campusId: req.user?.campusId,
             };
         })
         .onUploadComplete(async ({ metadata, file }) => {
             console.log("✅ Profile picture uploaded for userId:", metadata.userId);
-            console.log("📁 File URL:", file.url);
+            console.log("📁 File URL:", file.ufsUrl || file.url);
+
+            const assetId = await trackUpload("profilePicture", metadata, file);
 
             return {
+                assetId,
                 uploadedBy: metadata.userId,
-                url: file.url,
+                url: file.ufsUrl || file.url,
                 key: file.key,
             };
         }),
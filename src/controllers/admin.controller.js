@@ -1,10 +1,13 @@
+import mongoose from "mongoose";
 import Campus from "../db/schemas/Campus.js";
 import User from "../db/schemas/User.js";
 import Report from "../db/schemas/Report.js";
 import AuditLog from "../db/schemas/AuditLog.js";
 import { hashPassword } from "../utils/password.js";
 import env from "../config/env.js";
+import { paginate } from "../utils/pagination.js";
 import { sendModeratorInvite } from "../services/emailService.js";
+import { computeHotspots } from "../services/analyticsService.js";
 
 /**
  * Get analytics/dashboard data
@@ -119,6 +122,67 @@ export const getAnalytics = async (req, res) => {
     }
 };
 
+/**
+ * Get severity-weighted heatmap and top hotspots
+ * GET /admin/analytics/hotspots?campusId=&category=&startDate=&endDate=&cellSize=&top=
+ */
+export const getHotspots = async (req, res) => {
+    try {
+        const {
+            campusId,
+            category,
+            startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // Last 30 days
+            endDate = new Date(),
+            cellSize = 250, // meters
+            top = 10,
+        } = req.query;
+
+        const start = new Date(startDate);
+        const end = new Date(endDate);
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid date range",
+            });
+        }
+
+        // Super-admin can view all campuses, otherwise only own campus
+        let targetCampusId;
+        if (req.user.role !== "super-admin") {
+            targetCampusId = req.user.campusId;
+        } else if (campusId) {
+            if (!mongoose.isValidObjectId(campusId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid campus ID",
+                });
+            }
+            targetCampusId = campusId;
+        }
+
+        const result = await computeHotspots({
+            campusId: targetCampusId,
+            categories: category ? category.split(",") : undefined,
+            startDate: start,
+            endDate: end,
+            cellSizeMeters: Math.min(Math.max(parseInt(cellSize) || 250, 50), 5000),
+            top: Math.min(Math.max(parseInt(top) || 10, 1), 50),
+        });
+
+        res.json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        console.error("Get hotspots error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get hotspots",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
 /**
  * Create new campus
  * POST /admin/campuses
@@ -181,30 +245,31 @@ export const createCampus = async (req, res) => {
 
 /**
  * Get all campuses (admin view)
- * GET /admin/campuses
+ * GET /admin/campuses?cursor=&page=&limit=
  */
 export const getCampuses = async (req, res) => {
     try {
-        const { limit = 50, page = 1 } = req.query;
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const { limit = 50, cursor, page } = req.query;
 
-        const campuses = await Campus.find({})
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip);
+        const result = await paginate(
+            Campus,
+            {},
+            { createdAt: -1 },
+            { cursor, page, limit: parseInt(limit) }
+        );
 
-        const total = await Campus.countDocuments({});
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cursor",
+            });
+        }
 
         res.json({
             success: true,
             data: {
-                campuses,
-                pagination: {
-                    total,
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    pages: Math.ceil(total / parseInt(limit)),
-                },
+                campuses: result.items,
+                pagination: result.pagination,
             },
         });
     } catch (error) {
@@ -445,6 +510,7 @@ export const inviteModerator = async (req, res) => {
 
 export default {
     getAnalytics,
+    getHotspots,
     createCampus,
     getCampuses,
     updateCampus,
@@ -1,9 +1,25 @@
-import Report from "../db/schemas/Report.js";
+import Report, { FEED_STATUSES } from "../db/schemas/Report.js";
 import User from "../db/schemas/User.js";
 import AuditLog from "../db/schemas/AuditLog.js";
 import Notification from "../db/schemas/Notification.js";
 import env from "../config/env.js";
+import { paginate } from "../utils/pagination.js";
 import { emitReportUpdate, emitModeratorAction } from "../services/socketService.js";
+import { publishReport, releaseIncident, notifyFollowers } from "../services/reportService.js";
+import { getExportFormat, SUPPORTED_EXPORT_FORMATS } from "../services/exportService.js";
+import { refreshReputationForReport } from "../services/reputationService.js";
+import { getSeenBy } from "../services/viewService.js";
+
+// How a status change is described to the reporter
+const STATUS_CHANGE_MESSAGES = {
+    reported: "approved",
+    verified: "verified",
+    investigating: "marked as under investigation",
+    resolved: "resolved",
+    invalid: "marked as invalid",
+    spam: "marked as spam",
+    archived: "archived",
+};
 
 /**
  * Get moderation dashboard summary
@@ -21,10 +37,12 @@ export const getModerationSummary = async (req, res) => {
             verifiedToday,
             resolvedToday,
             totalReports,
-            spamCount
+            spamCount,
+            spamReviewCount,
+            appealCount,
         ] = await Promise.all([
-            // Pending reports (status: reported)
-            Report.countDocuments({ campusId, status: "reported" }),
+            // Pending reports (awaiting pre-moderation or newly reported)
+            Report.countDocuments({ campusId, status: { $in: ["pending", "reported"] } }),
 
             // Verified today
             Report.countDocuments({
@@ -45,6 +63,12 @@ export const getModerationSummary = async (req, res) => {
 
             // Spam reports
             Report.countDocuments({ campusId, isSpam: true }),
+
+            // Flagged reports awaiting spam review
+            Report.countDocuments({ campusId, "spamReview.status": "pending" }),
+
+            // Pending appeals
+            Report.countDocuments({ campusId, "appeal.status": "pending" }),
         ]);
 
         // Get recent actions
@@ -64,6 +88,8 @@ export const getModerationSummary = async (req, res) => {
                     resolvedToday,
                     totalReports,
                     spamCount,
+                    spamReviewCount,
+                    appealCount,
                 },
                 recentActions,
             },
@@ -80,48 +106,58 @@ export const getModerationSummary = async (req, res) => {
 
 /**
  * Get reports for moderation
- * GET /moderation/reports
+ * GET /moderation/reports?status=&severity=&category=&outOfBounds=&metadataMismatch=&cursor=&page=&limit=
  */
 export const getModerationReports = async (req, res) => {
     try {
         const {
-            status = "reported",
+            status,
             severity,
             category,
+            outOfBounds,
+            metadataMismatch,
             limit = 50,
-            page = 1,
+            cursor,
+            page,
         } = req.query;
 
         const query = { campusId: req.user.campusId };
 
-        if (status) query.status = status;
+        // The default queue holds new reports, including those awaiting pre-moderation
+        query.status = status || { $in: ["pending", "reported"] };
         if (severity) query.severity = { $gte: parseInt(severity) };
         if (category) query.category = category;
-
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const reports = await Report.find(query)
-            .sort({ severity: -1, createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate("reporterId", "name email")
-            .populate("resolvedBy", "name role");
-
-        const total = await Report.countDocuments(query);
+        if (outOfBounds === "true") query["boundaryCheck.isWithinBoundary"] = false;
+        if (outOfBounds === "false") query["boundaryCheck.isWithinBoundary"] = { $ne: false };
+        if (metadataMismatch === "true") query["mediaMetadataCheck.mismatch"] = true;
+        if (metadataMismatch === "false") query["mediaMetadataCheck.mismatch"] = { $ne: true };
+
+        const result = await paginate(
+            Report,
+            query,
+            { severity: -1, createdAt: -1 },
+            { cursor, page, limit: parseInt(limit) },
+            (q) => q.populate("reporterId", "name email reputation").populate("resolvedBy", "name role")
+        );
+
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cursor",
+            });
+        }
 
         // Transform reports to moderator view
-        const moderatorReports = reports.map((r) => r.toModeratorView());
+        const moderatorReports = result.items.map((r) => ({
+            ...r.toModeratorView(),
+            reporterReputation: r.reporterId?.reputation?.score ?? null,
+        }));
 
         res.json({
             success: true,
             data: {
                 reports: moderatorReports,
-                pagination: {
-                    total,
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    pages: Math.ceil(total / parseInt(limit)),
-                },
+                pagination: result.pagination,
             },
         });
     } catch (error) {
@@ -135,13 +171,14 @@ export const getModerationReports = async (req, res) => {
 };
 
 /**
- * Update report status (verify, invalidate, resolve)
+ * Update report status (verify, investigate, resolve, invalidate...)
+ * Status changes must follow STATUS_TRANSITIONS for the moderator's role.
  * PATCH /moderation/reports/:id
  */
 export const updateReportStatus = async (req, res) => {
     try {
         const { id } = req.params;
-        const { status, moderatorNotes, assignedTo } = req.body;
+        const { status, reason, moderatorNotes, assignedTo } = req.body;
 
         const report = await Report.findById(id).select("+moderatorNotes");
 
@@ -161,13 +198,69 @@ export const updateReportStatus = async (req, res) => {
         }
 
         const oldStatus = report.status;
+        const oldAssignedTo = report.assignedTo;
+        let transition = null;
+
+        // Validate the status transition
+        if (status && status !== oldStatus) {
+            transition = report.getStatusTransition(status);
+
+            if (!transition) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Cannot change report status from "${oldStatus}" to "${status}"`,
+                    allowedTransitions: report.getAllowedTransitions(req.user.role),
+                });
+            }
+
+            if (!transition.roles.includes(req.user.role)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Your role cannot change report status from "${oldStatus}" to "${status}"`,
+                });
+            }
+
+            if (transition.requiresReason && !reason?.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: `A reason is required to change report status to "${status}"`,
+                });
+            }
+        }
 
         // Update fields
-        if (status) {
+        if (transition) {
             report.status = status;
+            report.isSpam = status === "spam";
             if (status === "resolved") {
                 report.resolvedBy = req.userId;
                 report.resolvedAt = new Date();
+            } else if (oldStatus === "resolved") {
+                // Reopened
+                report.resolvedBy = undefined;
+                report.resolvedAt = undefined;
+            }
+            if (status === "archived") {
+                report.archivedAt = new Date();
+                report.archiveReason = reason;
+            } else if (oldStatus === "archived") {
+                report.archivedAt = undefined;
+                report.archiveReason = undefined;
+            }
+
+            // A status decision closes any open spam review
+            if (report.spamReview.status === "pending") {
+                report.closeSpamReview(status === "spam" ? "upheld" : "dismissed", req.userId, reason);
+            }
+
+            // Restoring a report accepts its appeal; a new rejection can be appealed again
+            if (report.appeal.status === "pending" && status === "reported") {
+                report.appeal.status = "accepted";
+                report.appeal.reviewedBy = req.userId;
+                report.appeal.reviewedAt = new Date();
+                report.appeal.reason = reason;
+            } else if (report.appeal.status === "accepted" && ["spam", "invalid"].includes(status)) {
+                report.appeal = { status: "none" };
             }
         }
 
@@ -185,38 +278,85 @@ export const updateReportStatus = async (req, res) => {
 
         await report.save();
 
+        // Duplicates must not vanish with an incident leaving the feed
+        if (transition) {
+            await releaseIncident(report);
+        }
+
         // Log audit
+        let action = "add_moderator_note";
+        if (transition) {
+            action = transition.action;
+        } else if (report.assignedTo && !report.assignedTo.equals(oldAssignedTo)) {
+            action = "assign_report";
+        }
+
         await AuditLog.logAction({
             actorId: req.userId,
-            action: status === "verified" ? "verify_report" : status === "invalid" ? "invalidate_report" : "resolve_report",
+            action,
             entityType: "report",
             entityId: report._id,
+            payload: reason ? { reason } : {},
             changes: {
-                before: { status: oldStatus },
-                after: { status: report.status },
+                before: { status: oldStatus, assignedTo: oldAssignedTo },
+                after: { status: report.status, assignedTo: report.assignedTo },
             },
         });
 
+        // Moderation outcomes feed into reporter and voter reputation
+        if (transition) {
+            refreshReputationForReport(report).catch((err) =>
+                console.error(`Failed to update reputation for report ${report._id}:`, err.message)
+            );
+        }
+
         // Notify reporter if status changed
-        if (oldStatus !== report.status && !report.reporterId.equals(req.userId)) {
+        if (transition && !report.reporterId.equals(req.userId)) {
+            const statusMessage = STATUS_CHANGE_MESSAGES[status] || status;
+            const canAppeal = report.canAppeal(report.reporterId);
             await Notification.createNotification({
                 userId: report.reporterId,
                 reportId: report._id,
                 type: "moderator_action",
                 title: "Report Status Updated",
-                message: `Your report has been ${status}`,
+                message: (reason
+                    ? `Your report has been ${statusMessage}: ${reason}`
+                    : `Your report has been ${statusMessage}`) +
+                    (canAppeal ? ". You can appeal this decision." : ""),
+                data: { status, canAppeal },
                 priority: status === "resolved" ? "medium" : "low",
             });
         }
 
-        // Emit socket event for real-time update
-        emitReportUpdate(req.user.campusId, report._id, {
-            status: report.status,
-            moderatorNotes: report.moderatorNotes,
-            resolvedBy: report.resolvedBy,
-            resolvedAt: report.resolvedAt,
-            assignedTo: report.assignedTo,
-        });
+        // Let followers of a published report know (the reporter was notified above)
+        if (transition && oldStatus !== "pending") {
+            const resolved = status === "resolved";
+            await notifyFollowers(
+                report,
+                {
+                    type: resolved ? "report_resolved" : "report_update",
+                    title: resolved ? "A report you follow was resolved" : "A report you follow was updated",
+                    message: `${report.title} has been ${STATUS_CHANGE_MESSAGES[status] || status}`,
+                    data: { status, previousStatus: oldStatus },
+                    priority: resolved ? "medium" : "low",
+                },
+                [req.userId, report.reporterId]
+            );
+        }
+
+        if (oldStatus === "pending" && FEED_STATUSES.includes(report.status)) {
+            // Approved from pre-moderation - release the held broadcast and alerts
+            await publishReport(report);
+        } else if (oldStatus !== "pending") {
+            // Emit socket event for real-time update
+            emitReportUpdate(req.user.campusId, report._id, {
+                status: report.status,
+                moderatorNotes: report.moderatorNotes,
+                resolvedBy: report.resolvedBy,
+                resolvedAt: report.resolvedAt,
+                assignedTo: report.assignedTo,
+            });
+        }
 
         res.json({
             success: true,
@@ -233,6 +373,391 @@ export const updateReportStatus = async (req, res) => {
     }
 };
 
+/**
+ * Merge reports into an incident
+ * POST /moderation/reports/:id/merge
+ */
+export const mergeReports = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reportIds } = req.body;
+
+        let parent = await Report.findById(id);
+
+        // Merging into a duplicate merges into its incident
+        if (parent?.parentReportId) {
+            parent = await Report.findById(parent.parentReportId);
+        }
+
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                message: "Report not found",
+            });
+        }
+
+        // Check campus access
+        if (!parent.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        const reports = await Report.find({ _id: { $in: reportIds }, campusId: parent.campusId }).select("_id");
+
+        if (reports.length !== new Set(reportIds.map(String)).size) {
+            return res.status(400).json({
+                success: false,
+                message: "All reports must exist and belong to the same campus",
+            });
+        }
+
+        const mergedCount = await Report.mergeIntoIncident(
+            parent._id,
+            reports.map((r) => r._id),
+            req.userId
+        );
+
+        // Log audit
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "merge_reports",
+            entityType: "report",
+            entityId: parent._id,
+            payload: { reportIds, mergedCount },
+        });
+
+        const incident = await parent.getIncidentRollup();
+
+        // Emit socket event for real-time update
+        emitReportUpdate(parent.campusId, parent._id, {
+            duplicateCount: incident ? incident.reportCount - 1 : 0,
+            incident,
+        });
+
+        res.json({
+            success: true,
+            message: `${mergedCount} report(s) merged into incident`,
+            data: { incident },
+        });
+    } catch (error) {
+        console.error("Merge reports error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to merge reports",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Split reports out of an incident (all duplicates when reportIds is omitted)
+ * POST /moderation/reports/:id/split
+ */
+export const splitReports = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reportIds } = req.body;
+
+        const parent = await Report.findById(id);
+
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                message: "Report not found",
+            });
+        }
+
+        // Check campus access
+        if (!parent.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        const splitCount = await Report.splitFromIncident(parent._id, reportIds);
+
+        // Log audit
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "split_report",
+            entityType: "report",
+            entityId: parent._id,
+            payload: { reportIds, splitCount },
+        });
+
+        const incident = await parent.getIncidentRollup();
+
+        // Emit socket event for real-time update
+        emitReportUpdate(parent.campusId, parent._id, {
+            duplicateCount: incident ? incident.reportCount - 1 : 0,
+            incident,
+        });
+
+        res.json({
+            success: true,
+            message: `${splitCount} report(s) split from incident`,
+            data: { incident },
+        });
+    } catch (error) {
+        console.error("Split reports error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to split reports",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Get the spam review or appeal queue
+ * GET /moderation/review-queue?type=spam|appeal&cursor=&page=&limit=
+ */
+export const getReviewQueue = async (req, res) => {
+    try {
+        const { type = "spam", limit = 50, cursor, page } = req.query;
+
+        if (!["spam", "appeal"].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: "Queue type must be 'spam' or 'appeal'",
+            });
+        }
+
+        const query = { campusId: req.user.campusId };
+        let sort;
+        if (type === "spam") {
+            query["spamReview.status"] = "pending";
+            sort = { spamScore: -1, createdAt: -1 };
+        } else {
+            query["appeal.status"] = "pending";
+            sort = { "appeal.submittedAt": 1 }; // oldest appeal first
+        }
+
+        const result = await paginate(
+            Report,
+            query,
+            sort,
+            { cursor, page, limit: parseInt(limit) },
+            (q) => q.select("+moderatorNotes").populate("reporterId", "name email reputation")
+        );
+
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cursor",
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                reports: result.items.map((r) => ({
+                    ...r.toModeratorView(),
+                    reporterReputation: r.reporterId?.reputation?.score ?? null,
+                })),
+                pagination: result.pagination,
+            },
+        });
+    } catch (error) {
+        console.error("Get review queue error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get review queue",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Dismiss spam flags on a report (keeps it published)
+ * POST /moderation/reports/:id/dismiss-spam
+ */
+export const dismissSpamFlags = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const report = await Report.findById(id);
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: "Report not found",
+            });
+        }
+
+        // Check campus access
+        if (!report.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        if (report.spamReview.status !== "pending") {
+            return res.status(409).json({
+                success: false,
+                message: "Report is not awaiting spam review",
+            });
+        }
+
+        const spamScore = report.spamScore;
+        report.closeSpamReview("dismissed", req.userId, reason);
+        await report.save();
+
+        // Log audit
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "dismiss_spam_flags",
+            entityType: "report",
+            entityId: report._id,
+            payload: { reason, spamScore, flagCount: report.spamReports.length },
+        });
+
+        res.json({
+            success: true,
+            message: "Spam flags dismissed",
+            data: { report: report.toModeratorView() },
+        });
+    } catch (error) {
+        console.error("Dismiss spam flags error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to dismiss spam flags",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Reject a reporter's appeal (accepting it restores the report via PATCH /moderation/reports/:id)
+ * POST /moderation/reports/:id/reject-appeal
+ */
+export const rejectAppeal = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        const report = await Report.findById(id);
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: "Report not found",
+            });
+        }
+
+        // Check campus access
+        if (!report.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        if (report.appeal.status !== "pending") {
+            return res.status(409).json({
+                success: false,
+                message: "Report has no pending appeal",
+            });
+        }
+
+        // Appeals are decided by whoever may restore the report
+        const restore = report.getStatusTransition("reported");
+        if (!restore?.roles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: "Your role cannot decide appeals",
+            });
+        }
+
+        report.appeal.status = "rejected";
+        report.appeal.reviewedBy = req.userId;
+        report.appeal.reviewedAt = new Date();
+        report.appeal.reason = reason;
+        await report.save();
+
+        // Log audit
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "reject_appeal",
+            entityType: "report",
+            entityId: report._id,
+            payload: { reason: report.appeal.reason },
+        });
+
+        await Notification.createNotification({
+            userId: report.reporterId,
+            reportId: report._id,
+            type: "moderator_action",
+            title: "Appeal Rejected",
+            message: `Your appeal was rejected: ${report.appeal.reason}`,
+            priority: "low",
+        });
+
+        res.json({
+            success: true,
+            message: "Appeal rejected",
+            data: { report: report.toModeratorView() },
+        });
+    } catch (error) {
+        console.error("Reject appeal error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to reject appeal",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Get who has seen a report, broken down by role
+ * GET /moderation/reports/:id/seen-by?limit=
+ */
+export const getReportSeenBy = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+        const report = await Report.findById(id).select("campusId viewsCount");
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: "Report not found",
+            });
+        }
+
+        // Check campus access
+        if (!report.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        const seenBy = await getSeenBy(report._id, limit);
+
+        res.json({
+            success: true,
+            data: {
+                reportId: report._id,
+                ...seenBy,
+            },
+        });
+    } catch (error) {
+        console.error("Get report seen-by error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get report viewers",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
 /**
  * Ban user
  * POST /moderation/ban-user
@@ -300,38 +825,155 @@ export const banUser = async (req, res) => {
     }
 };
 
+/**
+ * Export reports as GeoJSON, CSV or KML
+ * Streams matching reports with a cursor; anonymous reporters are not revealed.
+ * GET /moderation/reports/export?format=&category=&severity=&status=&includeArchived=&since=&until=&sort=
+ */
+export const exportReports = async (req, res) => {
+    const {
+        format = "geojson",
+        category,
+        severity,
+        status,
+        includeArchived,
+        since,
+        until,
+        sort = "newest",
+    } = req.query;
+
+    const exporter = getExportFormat(format);
+    if (!exporter) {
+        return res.status(400).json({
+            success: false,
+            message: `Format must be one of: ${SUPPORTED_EXPORT_FORMATS.join(", ")}`,
+        });
+    }
+
+    // Same filters as the report feed
+    const query = {
+        campusId: req.user.campusId,
+        parentReportId: null,
+        status: status || { $in: includeArchived === "true" ? [...FEED_STATUSES, "archived"] : FEED_STATUSES },
+    };
+    if (category) query.category = category;
+    if (severity) query.severity = { $gte: parseInt(severity) };
+    if (since || until) {
+        query.createdAt = {};
+        if (since) query.createdAt.$gte = new Date(since);
+        if (until) query.createdAt.$lte = new Date(until);
+    }
+
+    let sortOption = { createdAt: -1 }; // newest
+    if (sort === "oldest") sortOption = { createdAt: 1 };
+    if (sort === "severity_desc") sortOption = { severity: -1, createdAt: -1 };
+    if (sort === "severity_asc") sortOption = { severity: 1, createdAt: -1 };
+
+    let exported = 0;
+    let completed = false;
+
+    try {
+        const cursor = Report.find(query)
+            .sort(sortOption)
+            .populate("reporterId", "name")
+            .cursor();
+
+        const filename = `reports-${new Date().toISOString().slice(0, 10)}.${exporter.extension}`;
+        res.setHeader("Content-Type", exporter.contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+        // Respect backpressure so large exports never buffer in memory
+        const write = async (chunk) => {
+            if (!res.write(chunk)) {
+                await new Promise((resolve) => {
+                    const done = () => {
+                        res.off("drain", done);
+                        res.off("close", done);
+                        resolve();
+                    };
+                    res.on("drain", done);
+                    res.on("close", done);
+                });
+            }
+        };
+
+        await write(exporter.header());
+        for await (const report of cursor) {
+            if (res.destroyed) break;
+
+            // Public view applies the anonymization rules
+            await write(exporter.row(report.toJSON(), exported));
+            exported++;
+        }
+
+        if (!res.destroyed) {
+            await write(exporter.footer());
+            completed = true;
+        }
+        res.end();
+    } catch (error) {
+        console.error("Export reports error:", error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: "Failed to export reports",
+                error: env.nodeEnv === "development" ? error.message : undefined,
+            });
+        } else {
+            res.destroy(error);
+        }
+    } finally {
+        // Record every export attempt, including interrupted ones
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "export_reports",
+            entityType: "campus",
+            entityId: req.user.campusId,
+            payload: {
+                format,
+                filters: { category, severity, status, includeArchived, since, until, sort },
+                exported,
+                completed,
+            },
+            metadata: {
+                ipAddress: req.ip,
+                userAgent: req.get("user-agent"),
+            },
+        }).catch((err) => console.error("Failed to log report export:", err.message));
+    }
+};
+
 /**
  * Get audit logs
- * GET /moderation/audit
+ * GET /moderation/audit?reportId=&cursor=&page=&limit=
  */
 export const getAuditLogs = async (req, res) => {
     try {
-        const { reportId, limit = 100, page = 1 } = req.query;
+        const { reportId, limit = 100, cursor, page } = req.query;
 
         const query = {};
         if (reportId) query.reportId = reportId;
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const logs = await AuditLog.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip)
-            .populate("actorId", "name role")
-            .populate("reportId", "title");
+        const result = await paginate(
+            AuditLog,
+            query,
+            { createdAt: -1 },
+            { cursor, page, limit: parseInt(limit) },
+            (q) => q.populate("actorId", "name role").populate("reportId", "title")
+        );
 
-        const total = await AuditLog.countDocuments(query);
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cursor",
+            });
+        }
 
         res.json({
             success: true,
             data: {
-                logs,
-                pagination: {
-                    total,
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    pages: Math.ceil(total / parseInt(limit)),
-                },
+                logs: result.items,
+                pagination: result.pagination,
             },
         });
     } catch (error) {
@@ -348,6 +990,13 @@ export default {
     getModerationSummary,
     getModerationReports,
     updateReportStatus,
+    mergeReports,
+    splitReports,
+    getReviewQueue,
+    dismissSpamFlags,
+    rejectAppeal,
+    getReportSeenBy,
     banUser,
+    exportReports,
     getAuditLogs,
 };
@@ -1,9 +1,67 @@
-import Report from "../db/schemas/Report.js";
-import Comment from "../db/schemas/Comment.js";
+import Report, { FEED_STATUSES } from "../db/schemas/Report.js";
+import Comment, { MAX_COMMENT_DEPTH } from "../db/schemas/Comment.js";
+import Campus from "../db/schemas/Campus.js";
+import { generatePseudonym } from "../utils/pseudonym.js";
+import { paginate } from "../utils/pagination.js";
 import AuditLog from "../db/schemas/AuditLog.js";
 import Notification from "../db/schemas/Notification.js";
 import env from "../config/env.js";
-import { emitNewReport, emitReportUpdate, emitNewComment } from "../services/socketService.js";
+import {
+    emitReportUpdate,
+    emitNewComment,
+    emitOfficialUpdate,
+    emitCommentUpdate,
+    emitCommentDeleted,
+    emitModeratorAction,
+} from "../services/socketService.js";
+import { publishReport, releaseIncident, notifyFollowers, checkVoteThresholds } from "../services/reportService.js";
+import { runReportSearch } from "../services/searchService.js";
+import { refreshReputationForReport } from "../services/reputationService.js";
+import { recordView } from "../services/viewService.js";
+import { checkReportMediaMetadata, syncReportMedia, findUnavailableMedia } from "../services/mediaService.js";
+import { parseBoundingBox, parsePolygon, WORLD_BOUNDS } from "../utils/geo.js";
+
+const OUT_OF_BOUNDS_MESSAGE = "Report location is outside the campus boundary";
+const ANONYMOUS_DISABLED_MESSAGE = "Anonymous posting is not allowed on this campus";
+
+// Viewport queries below this zoom level return clusters instead of reports
+const CLUSTER_MAX_ZOOM = 15;
+// Approximate on-screen size of a cluster cell (256px map tiles)
+const CLUSTER_CELL_PIXELS = 60;
+
+/**
+ * Run the campus boundary check for a report location
+ * Returns null when the campus cannot be found (check skipped)
+ */
+const checkCampusBoundary = (campus, coordinates) => {
+    if (!campus) return null;
+
+    const [longitude, latitude] = coordinates;
+    return campus.checkReportLocation(longitude, latitude);
+};
+
+/**
+ * Recount visible comments so commentsCount never drifts
+ */
+const refreshCommentsCount = async (reportId) => {
+    const commentsCount = await Comment.countByReport(reportId);
+    await Report.updateOne({ _id: reportId }, { $set: { commentsCount } });
+    return commentsCount;
+};
+
+/**
+ * Convert a field-level diff into audit log before/after values
+ */
+const diffToChanges = (diff) => ({
+    before: Object.fromEntries(diff.map((change) => [change.field, change.before])),
+    after: Object.fromEntries(diff.map((change) => [change.field, change.after])),
+});
+
+const reportNotFound = (res) =>
+    res.status(404).json({
+        success: false,
+        message: "Report not found",
+    });
 
 /**
  * Get nearby reports
@@ -48,12 +106,15 @@ export const getNearbyReports = async (req, res) => {
         if (since) filters.since = since;
 
         // Get reports using geospatial query
+        // Non-moderators also see their own reports awaiting moderation
+        const viewerId = req.user.canModerate() ? undefined : req.userId;
+
         const reports = await Report.findNearby(
             req.user.campusId,
             longitude,
             latitude,
             parseInt(radius),
-            filters
+            { ...filters, viewerId }
         ).limit(parseInt(limit));
 
         // Transform reports based on user permissions
@@ -87,14 +148,110 @@ export const getNearbyReports = async (req, res) => {
     }
 };
 
+/**
+ * Get reports within a map viewport
+ * Returns grid clusters instead of individual reports at low zoom levels.
+ * GET /reports/within?bbox=minLon,minLat,maxLon,maxLat|polygon=&zoom=&category=&severity=&status=&since=
+ */
+export const getReportsWithin = async (req, res) => {
+    try {
+        const {
+            bbox,
+            polygon,
+            zoom,
+            category,
+            severity,
+            status,
+            since,
+            limit = 500,
+        } = req.query;
+
+        const geometry = bbox ? parseBoundingBox(bbox) : parsePolygon(polygon);
+        if (!geometry) {
+            return res.status(400).json({
+                success: false,
+                message: bbox ? "Invalid bounding box" : "Invalid polygon",
+            });
+        }
+
+        // Reports are campus scoped, so a world-sized viewport needs no geometry filter
+        const area = geometry === WORLD_BOUNDS ? null : geometry;
+
+        // Build filters
+        const filters = {};
+        if (category) filters.category = category;
+        if (severity) filters.severity = parseInt(severity);
+        if (status) filters.status = status;
+        if (since) filters.since = since;
+
+        // Non-moderators also see their own reports awaiting moderation
+        const viewerId = req.user.canModerate() ? undefined : req.userId;
+        const zoomLevel = zoom !== undefined ? parseInt(zoom) : undefined;
+        // Echo the geometry actually searched (none for world-sized viewports)
+        const query = { ...(area && { geometry: area }), zoom: zoomLevel, filters };
+
+        if (zoomLevel !== undefined && zoomLevel < CLUSTER_MAX_ZOOM) {
+            const cellSize = (360 / Math.pow(2, zoomLevel)) * (CLUSTER_CELL_PIXELS / 256);
+            const clusters = await Report.clusterWithin(
+                req.user.campusId,
+                area,
+                cellSize,
+                { ...filters, viewerId }
+            );
+
+            return res.json({
+                success: true,
+                data: {
+                    clustered: true,
+                    clusters,
+                    count: clusters.reduce((total, cluster) => total + cluster.count, 0),
+                    query,
+                },
+            });
+        }
+
+        const reports = await Report.findWithin(
+            req.user.campusId,
+            area,
+            { ...filters, viewerId }
+        ).limit(parseInt(limit));
+
+        // Transform reports based on user permissions
+        const transformedReports = reports.map((report) => {
+            if (req.user.canModerate()) {
+                return report.toModeratorView();
+            }
+            return report.toObject({ virtuals: true });
+        });
+
+        res.json({
+            success: true,
+            data: {
+                clustered: false,
+                reports: transformedReports,
+                count: transformedReports.length,
+                query,
+            },
+        });
+    } catch (error) {
+        console.error("Get reports within error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get reports within area",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
 /**
  * Get all reports (paginated feed)
- * GET /reports?page=&limit=&category=&severity=&status=&sort=
+ * GET /reports?cursor=&page=&limit=&category=&severity=&status=&sort=
  */
 export const getAllReports = async (req, res) => {
     try {
         const {
-            page = 1,
+            cursor,
+            page,
             limit = 20,
             category,
             severity,
@@ -104,15 +261,17 @@ export const getAllReports = async (req, res) => {
 
         const query = {
             campusId: req.user.campusId,
+            parentReportId: null, // Duplicates are represented by their parent incident
         };
 
         // Apply filters
         if (category) query.category = category;
         if (severity) query.severity = { $gte: parseInt(severity) };
-        if (status) {
-            query.status = status;
+        if (req.user.canModerate()) {
+            query.status = status || { $in: FEED_STATUSES };
         } else {
-            query.status = { $in: ["reported", "verified", "investigating", "resolved"] };
+            // Pending reports are only visible to their reporter
+            Object.assign(query, Report.visibilityFilter(req.userId, status));
         }
 
         // Sort options
@@ -122,20 +281,23 @@ export const getAllReports = async (req, res) => {
         if (sort === "severity_asc") sortOption = { severity: 1, createdAt: -1 };
         if (sort === "popular") sortOption = { viewsCount: -1, createdAt: -1 };
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const result = await paginate(
+            Report,
+            query,
+            sortOption,
+            { cursor, page, limit: parseInt(limit) },
+            (q) => q.populate("reporterId", "name").populate("resolvedBy", "name")
+        );
 
-        const [reports, total] = await Promise.all([
-            Report.find(query)
-                .sort(sortOption)
-                .skip(skip)
-                .limit(parseInt(limit))
-                .populate("reporterId", "name")
-                .populate("resolvedBy", "name"),
-            Report.countDocuments(query),
-        ]);
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cursor",
+            });
+        }
 
         // Transform reports
-        const transformedReports = reports.map((report) => {
+        const transformedReports = result.items.map((report) => {
             if (req.user.canModerate()) {
                 return report.toModeratorView();
             }
@@ -146,19 +308,91 @@ export const getAllReports = async (req, res) => {
             success: true,
             data: {
                 reports: transformedReports,
+                pagination: result.pagination,
+            },
+        });
+    } catch (error) {
+        console.error("Get all reports error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to get reports",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Full-text search over reports and comments
+ * GET /reports/search?q=&category=&severity=&status=&since=&until=&page=&limit=
+ */
+export const searchReports = async (req, res) => {
+    try {
+        const { q, category, severity, status, since, until, page = 1, limit = 20 } = req.query;
+        const canModerate = req.user.canModerate();
+
+        const { results, total } = await runReportSearch(
+            q,
+            req.user,
+            { category, severity, status, since, until },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+
+        const reports = results.map(({ report, relevance, matchedComments, matchedModeratorNotes }) => ({
+            ...(canModerate ? report.toModeratorView() : report.toObject({ virtuals: true })),
+            relevance,
+            matchedComments,
+            ...(canModerate && { matchedModeratorNotes }),
+        }));
+
+        res.json({
+            success: true,
+            data: {
+                reports,
                 pagination: {
+                    total,
                     page: parseInt(page),
                     limit: parseInt(limit),
-                    total,
                     pages: Math.ceil(total / parseInt(limit)),
                 },
             },
         });
     } catch (error) {
-        console.error("Get all reports error:", error);
+        console.error("Search reports error:", error);
         res.status(500).json({
             success: false,
-            message: "Failed to get reports",
+            message: "Failed to search reports",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Find likely duplicates before submitting a report
+ * GET /reports/duplicates?lat=&lon=&category=
+ */
+export const getPossibleDuplicates = async (req, res) => {
+    try {
+        const { lat, lon, category } = req.query;
+
+        const duplicates = await Report.findPossibleDuplicates(
+            req.user.campusId,
+            [parseFloat(lon), parseFloat(lat)],
+            category,
+            env.duplicates
+        );
+
+        res.json({
+            success: true,
+            data: {
+                duplicates,
+                count: duplicates.length,
+            },
+        });
+    } catch (error) {
+        console.error("Get possible duplicates error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to check for duplicates",
             error: env.nodeEnv === "development" ? error.message : undefined,
         });
     }
@@ -176,24 +410,27 @@ export const getReportById = async (req, res) => {
             .populate("reporterId", "name")
             .populate("resolvedBy", "name role");
 
-        if (!report) {
-            return res.status(404).json({
-                success: false,
-                message: "Report not found",
-            });
+        if (!report || !report.isVisibleTo(req.user)) {
+            return reportNotFound(res);
         }
 
-        // Increment view count
-        await report.incrementViews();
+        // Count unique views (buffered, flushed to the database in batches)
+        recordView(report, req.user).catch((error) => console.error("Record view error:", error));
 
         // Transform based on user permissions
         const reportData = req.user.canModerate()
             ? report.toModeratorView()
             : report.toObject({ virtuals: true });
 
+        // Votes, comments and media rolled up across the incident cluster
+        const [incident, isFollowing] = await Promise.all([
+            report.getIncidentRollup(),
+            Report.isFollowing(report._id, req.userId),
+        ]);
+
         res.json({
             success: true,
-            data: { report: reportData },
+            data: { report: reportData, incident, isFollowing },
         });
     } catch (error) {
         console.error("Get report by ID error:", error);
@@ -219,6 +456,7 @@ export const createReport = async (req, res) => {
             location,
             mediaUrls = [],
             isAnonymous = false,
+            incidentId,
         } = req.body;
 
         // Validate location
@@ -229,13 +467,49 @@ export const createReport = async (req, res) => {
             });
         }
 
-        // TODO: Implement rate limiting check
-        // For now, basic rate limit checking would go here
+        const campus = await Campus.findById(req.user.campusId);
+
+        if (isAnonymous && campus?.settings?.allowAnonymous === false) {
+            return res.status(403).json({
+                success: false,
+                message: ANONYMOUS_DISABLED_MESSAGE,
+            });
+        }
+
+        // Enforce campus boundary
+        const boundaryCheck = checkCampusBoundary(campus, location.coordinates);
+
+        if (boundaryCheck && !boundaryCheck.isWithinBoundary && boundaryCheck.policy === "reject") {
+            return res.status(400).json({
+                success: false,
+                message: OUT_OF_BOUNDS_MESSAGE,
+            });
+        }
+
+        // Attach to an existing incident when the reporter chose a duplicate
+        let incident = null;
+        if (incidentId) {
+            incident = await Report.findById(incidentId);
+            if (incident?.parentReportId) {
+                incident = await Report.findById(incident.parentReportId);
+            }
+
+            if (!incident || !incident.campusId.equals(req.user.campusId) || !incident.isVisibleTo(req.user)) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Incident not found",
+                });
+            }
+        }
+
+        // Hold reports for review when the campus requires pre-moderation
+        const requiresModeration = Boolean(campus?.settings?.requireModeration);
 
         // Create report
-        const report = await Report.create({
+        const report = new Report({
             reporterId: req.userId,
             campusId: req.user.campusId,
+            status: requiresModeration ? "pending" : "reported",
             category,
             severity,
             title,
@@ -246,30 +520,82 @@ export const createReport = async (req, res) => {
             },
             mediaUrls,
             isAnonymous,
+            followers: [req.userId],
+            ...(boundaryCheck && { boundaryCheck }),
+            ...(incident && {
+                parentReportId: incident._id,
+                mergedAt: new Date(),
+                mergedBy: req.userId,
+            }),
         });
 
+        if (isAnonymous) {
+            report.reporterPseudonym = generatePseudonym(report._id);
+            report.anonymousParticipants = [{ userId: req.userId, pseudonym: report.reporterPseudonym }];
+        }
+
+        await report.save();
+
+        // Claim the uploaded files so the orphan cleanup keeps them
+        await syncReportMedia(report);
+        checkReportMediaMetadata(report).catch((error) => console.error("Media metadata check error:", error));
+
+        // Updates are posted on the incident, so follow it too
+        if (incident) {
+            await Report.follow(incident._id, req.userId);
+        }
+
         // Log audit
         await AuditLog.logAction({
             actorId: req.userId,
             action: "create_report",
             entityType: "report",
             entityId: report._id,
-            payload: { category, severity, isAnonymous },
+            payload: {
+                category,
+                severity,
+                isAnonymous,
+                isWithinBoundary: boundaryCheck?.isWithinBoundary,
+                incidentId: incident?._id,
+            },
         });
 
-        // Emit socket event for real-time update
-        emitNewReport(req.user.campusId, report);
+        if (requiresModeration) {
+            // Broadcast and notifications are held until a moderator verifies the report
+            emitModeratorAction(req.user.campusId, {
+                action: "report_pending",
+                reportId: report._id,
+            });
+        } else {
+            await publishReport(report);
+        }
 
-        // TODO: Queue notification job if severity >= threshold
-        if (severity >= env.notifications.minSeverityForPush) {
-            // Queue notification fanout job
-            console.log(`📢 High severity report created: ${report._id} - queuing notifications`);
+        // Alert moderators about flagged out-of-bounds reports
+        if (boundaryCheck?.flagged) {
+            emitModeratorAction(req.user.campusId, {
+                action: "report_out_of_bounds",
+                reportId: report._id,
+            });
         }
 
+        // Offer likely duplicates so the reporter can attach to an existing incident
+        const possibleDuplicates = incident
+            ? []
+            : await Report.findPossibleDuplicates(req.user.campusId, location.coordinates, category, {
+                ...env.duplicates,
+                excludeId: report._id,
+            });
+
         res.status(201).json({
             success: true,
-            message: "Report created successfully",
-            data: { report: report.toObject({ virtuals: true }) },
+            message: requiresModeration
+                ? "Report submitted and awaiting moderation"
+                : "Report created successfully",
+            data: {
+                report: report.toObject({ virtuals: true }),
+                possibleDuplicates,
+            },
+            ...(boundaryCheck && !boundaryCheck.isWithinBoundary && { warnings: [OUT_OF_BOUNDS_MESSAGE] }),
         });
     } catch (error) {
         console.error("Create report error:", error);
@@ -288,9 +614,9 @@ export const createReport = async (req, res) => {
 export const updateReport = async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, description, category, severity, mediaUrls } = req.body;
+        const { location } = req.body;
 
-        const report = await Report.findById(id);
+        const report = await Report.findById(id).select("+editHistory");
 
         if (!report) {
             return res.status(404).json({
@@ -307,47 +633,55 @@ export const updateReport = async (req, res) => {
             });
         }
 
-        // Store old values for audit
-        const oldValues = {
-            title: report.title,
-            description: report.description,
-            category: report.category,
-            severity: report.severity,
-        };
+        // Re-check campus boundary when the location moves
+        let boundaryCheck = null;
+        if (location) {
+            const campus = await Campus.findById(report.campusId);
+            boundaryCheck = checkCampusBoundary(campus, location.coordinates);
+
+            if (boundaryCheck && !boundaryCheck.isWithinBoundary && boundaryCheck.policy === "reject") {
+                return res.status(400).json({
+                    success: false,
+                    message: OUT_OF_BOUNDS_MESSAGE,
+                });
+            }
+        }
 
-        // Update fields
-        if (title) report.title = title;
-        if (description) report.description = description;
-        if (category) report.category = category;
-        if (severity) report.severity = severity;
-        if (mediaUrls) report.mediaUrls = mediaUrls;
-
-        report.isEdited = true;
-        report.editedAt = new Date();
-
-        // Add to edit history
-        report.editHistory.push({
-            editedAt: new Date(),
-            changes: {
-                title: title || report.title,
-                description: description || report.description,
-                category: category || report.category,
-                severity: severity || report.severity,
-            },
-        });
+        // Update fields and record the revision
+        const diff = report.applyEdit(req.body, req.userId);
+
+        if (diff.length === 0) {
+            return res.json({
+                success: true,
+                message: "No changes to save",
+                data: { report: report.toObject({ virtuals: true }) },
+            });
+        }
+
+        if (boundaryCheck && diff.some((change) => change.field === "location")) {
+            report.boundaryCheck = boundaryCheck;
+        }
 
         await report.save();
 
-        // Emit socket event for real-time update
-        emitReportUpdate(req.user.campusId, report._id, {
-            title: report.title,
-            description: report.description,
-            category: report.category,
-            severity: report.severity,
-            mediaUrls: report.mediaUrls,
-            isEdited: true,
-            editedAt: report.editedAt,
-        });
+        if (diff.some((change) => change.field === "mediaUrls")) {
+            await syncReportMedia(report);
+            checkReportMediaMetadata(report).catch((error) => console.error("Media metadata check error:", error));
+        }
+
+        // Emit socket event for real-time update (pending reports are not public yet)
+        if (report.status !== "pending") {
+            emitReportUpdate(req.user.campusId, report._id, {
+                title: report.title,
+                description: report.description,
+                category: report.category,
+                severity: report.severity,
+                location: report.location,
+                mediaUrls: report.mediaUrls,
+                isEdited: true,
+                editedAt: report.editedAt,
+            });
+        }
 
         // Log audit
         await AuditLog.logAction({
@@ -355,21 +689,22 @@ export const updateReport = async (req, res) => {
             action: "edit_report",
             entityType: "report",
             entityId: report._id,
-            changes: {
-                before: oldValues,
-                after: {
-                    title: report.title,
-                    description: report.description,
-                    category: report.category,
-                    severity: report.severity,
-                },
-            },
+            changes: diffToChanges(diff),
+            payload: { revision: report.editHistory.length },
         });
 
+        if (boundaryCheck?.flagged) {
+            emitModeratorAction(report.campusId, {
+                action: "report_out_of_bounds",
+                reportId: report._id,
+            });
+        }
+
         res.json({
             success: true,
             message: "Report updated successfully",
             data: { report: report.toObject({ virtuals: true }) },
+            ...(boundaryCheck && !boundaryCheck.isWithinBoundary && { warnings: [OUT_OF_BOUNDS_MESSAGE] }),
         });
     } catch (error) {
         console.error("Update report error:", error);
@@ -382,158 +717,539 @@ export const updateReport = async (req, res) => {
 };
 
 /**
- * Delete/retract report
- * DELETE /reports/:id
+ * Get a report's revision history merged with its audit timeline (moderators)
+ * Revision 0 is the report as submitted.
+ * GET /reports/:id/history
  */
-export const deleteReport = async (req, res) => {
+export const getReportHistory = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const report = await Report.findById(id);
+        const report = await Report.findById(id)
+            .select("+editHistory")
+            .populate("editHistory.editedBy", "name role");
 
         if (!report) {
-            return res.status(404).json({
-                success: false,
-                message: "Report not found",
-            });
+            return reportNotFound(res);
         }
 
-        // Check if user owns the report or is admin
-        if (!report.reporterId.equals(req.userId) && !req.user.canAdmin()) {
+        // Check campus access
+        if (!report.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
             return res.status(403).json({
                 success: false,
-                message: "You can only delete your own reports",
+                message: "Access denied to this campus",
             });
         }
 
-        // Soft delete - change status to invalid
-        report.status = "invalid";
-        await report.save();
-
-        // Log audit
-        await AuditLog.logAction({
-            actorId: req.userId,
-            action: "delete_report",
-            entityType: "report",
-            entityId: report._id,
-        });
+        const auditLogs = await AuditLog.getReportHistory(report._id, 200);
+
+        const revisions = report.editHistory.map((entry, index) => ({
+            revision: index + 1,
+            editedAt: entry.editedAt,
+            editedBy: entry.editedBy,
+            diff: entry.diff,
+            ...(entry.revertedTo !== undefined && { revertedTo: entry.revertedTo }),
+            // Older entries only stored the values after the edit
+            ...(entry.changes && { changes: entry.changes }),
+        }));
+
+        // Edits and reverts are already covered by the revisions
+        const timeline = [
+            ...revisions.map((revision) => ({ type: "revision", at: revision.editedAt, ...revision })),
+            ...auditLogs
+                .filter((log) => !["edit_report", "revert_report"].includes(log.action))
+                .map((log) => ({
+                    type: "audit",
+                    at: log.createdAt,
+                    action: log.action,
+                    actor: log.actorId,
+                    payload: log.payload,
+                    changes: log.changes,
+                })),
+        ].sort((a, b) => new Date(b.at) - new Date(a.at));
 
         res.json({
             success: true,
-            message: "Report deleted successfully",
+            data: {
+                currentRevision: revisions.length,
+                revisions,
+                timeline,
+            },
         });
     } catch (error) {
-        console.error("Delete report error:", error);
+        console.error("Get report history error:", error);
         res.status(500).json({
             success: false,
-            message: "Failed to delete report",
+            message: "Failed to fetch report history",
             error: env.nodeEnv === "development" ? error.message : undefined,
         });
     }
 };
 
 /**
- * Vote on report (confirm/dispute)
- * POST /reports/:id/vote
+ * Revert a report to a prior revision (moderators)
+ * Recorded as a new revision, so the revert itself can be undone.
+ * POST /reports/:id/revert
  */
-export const voteReport = async (req, res) => {
+export const revertReport = async (req, res) => {
     try {
         const { id } = req.params;
-        const { vote } = req.body; // "confirm" or "dispute"
+        const { revision, reason } = req.body;
 
-        if (!["confirm", "dispute"].includes(vote)) {
+        const report = await Report.findById(id).select("+editHistory");
+
+        if (!report) {
+            return reportNotFound(res);
+        }
+
+        // Check campus access
+        if (!report.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        if (revision >= report.editHistory.length) {
             return res.status(400).json({
                 success: false,
-                message: "Vote must be 'confirm' or 'dispute'",
+                message: "Revision must be older than the current revision",
+                currentRevision: report.editHistory.length,
             });
         }
 
-        const report = await Report.findById(id);
+        const target = report.getRevision(revision);
 
-        if (!report) {
-            return res.status(404).json({
+        if (!target) {
+            return res.status(409).json({
                 success: false,
-                message: "Report not found",
+                message: "Revision predates field-level history and cannot be restored",
             });
         }
 
-        // Add vote
-        await report.addVote(req.userId, vote);
+        // Media removed since that revision may already be deleted by the orphan cleanup
+        let unavailableMedia = [];
+        if (target.mediaUrls) {
+            unavailableMedia = await findUnavailableMedia(
+                target.mediaUrls.filter((url) => !report.mediaUrls.includes(url))
+            );
+            target.mediaUrls = target.mediaUrls.filter((url) => !unavailableMedia.includes(url));
+        }
+
+        const diff = report.applyEdit(target, req.userId, { revertedTo: revision });
+
+        if (diff.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: "Report already matches this revision",
+            });
+        }
+
+        // Moderator reverts are never rejected, but the boundary flag must follow the location
+        if (diff.some((change) => change.field === "location")) {
+            const campus = await Campus.findById(report.campusId);
+            const boundaryCheck = checkCampusBoundary(campus, report.location.coordinates);
+            if (boundaryCheck) report.boundaryCheck = boundaryCheck;
+        }
+
+        await report.save();
+
+        if (diff.some((change) => change.field === "mediaUrls")) {
+            await syncReportMedia(report);
+        }
 
         // Log audit
         await AuditLog.logAction({
+            reportId: report._id,
             actorId: req.userId,
-            action: "vote_report",
+            action: "revert_report",
             entityType: "report",
             entityId: report._id,
-            payload: { vote },
+            changes: diffToChanges(diff),
+            payload: { revertedTo: revision, revision: report.editHistory.length, reason, unavailableMedia },
         });
 
+        // Emit socket event for real-time update (pending reports are not public yet)
+        if (report.status !== "pending") {
+            emitReportUpdate(report.campusId, report._id, {
+                title: report.title,
+                description: report.description,
+                category: report.category,
+                severity: report.severity,
+                location: report.location,
+                mediaUrls: report.mediaUrls,
+                isEdited: true,
+                editedAt: report.editedAt,
+            });
+        }
+
         res.json({
             success: true,
-            message: "Vote recorded successfully",
+            message: `Report reverted to revision ${revision}`,
             data: {
-                confirmCount: report.confirmCount,
-                disputeCount: report.disputeCount,
-                netVotes: report.netVotes,
+                report: report.toModeratorView(),
+                diff,
+                // Media of the revision whose files no longer exist
+                unavailableMedia,
             },
         });
     } catch (error) {
-        console.error("Vote report error:", error);
+        console.error("Revert report error:", error);
         res.status(500).json({
             success: false,
-            message: "Failed to vote",
+            message: "Failed to revert report",
             error: env.nodeEnv === "development" ? error.message : undefined,
         });
     }
 };
 
 /**
- * Add comment to report
- * POST /reports/:id/comment
+ * Delete/retract report
+ * DELETE /reports/:id
  */
-export const addComment = async (req, res) => {
+export const deleteReport = async (req, res) => {
     try {
         const { id } = req.params;
-        const { content, isAnonymous = false } = req.body;
 
-        if (!content || content.trim().length === 0) {
-            return res.status(400).json({
+        const report = await Report.findById(id);
+
+        if (!report) {
+            return res.status(404).json({
                 success: false,
-                message: "Comment content is required",
+                message: "Report not found",
+            });
+        }
+
+        // Check if user owns the report or is admin
+        if (!report.reporterId.equals(req.userId) && !req.user.canAdmin()) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only delete your own reports",
+            });
+        }
+
+        // Soft delete - change status to invalid
+        report.status = "invalid";
+        if (report.reporterId.equals(req.userId)) {
+            report.retractedAt = new Date();
+        }
+        await report.save();
+        await releaseIncident(report);
+
+        // Removal by an admin counts against the reporter's reputation
+        if (!report.retractedAt) {
+            refreshReputationForReport(report).catch((err) =>
+                console.error(`Failed to update reputation for report ${report._id}:`, err.message)
+            );
+        }
+
+        // Log audit
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "delete_report",
+            entityType: "report",
+            entityId: report._id,
+        });
+
+        res.json({
+            success: true,
+            message: "Report deleted successfully",
+        });
+    } catch (error) {
+        console.error("Delete report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete report",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Vote on report (confirm/dispute)
+ * POST /reports/:id/vote
+ */
+export const voteReport = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { vote } = req.body; // "confirm" or "dispute"
+
+        if (!["confirm", "dispute"].includes(vote)) {
+            return res.status(400).json({
+                success: false,
+                message: "Vote must be 'confirm' or 'dispute'",
             });
         }
 
         const report = await Report.findById(id);
 
-        if (!report) {
+        if (!report || !report.isVisibleTo(req.user)) {
+            return reportNotFound(res);
+        }
+
+        // Add vote
+        await report.addVote(req.userId, vote, req.user.getVoteWeight());
+        await Report.follow(report._id, req.userId);
+
+        // Log audit
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "vote_report",
+            entityType: "report",
+            entityId: report._id,
+            payload: { vote },
+        });
+
+        const voteThresholdsReached = await checkVoteThresholds(report).catch((err) => {
+            console.error(`Failed to check vote thresholds for report ${report._id}:`, err.message);
+            return [];
+        });
+
+        const counts = {
+            confirmCount: report.confirmCount,
+            disputeCount: report.disputeCount,
+            netVotes: report.netVotes,
+        };
+
+        // Emit socket event for real-time update
+        emitReportUpdate(report.campusId, report._id, {
+            ...counts,
+            ...(voteThresholdsReached.length > 0 && { voteThresholdsReached }),
+        });
+
+        res.json({
+            success: true,
+            message: "Vote recorded successfully",
+            data: counts,
+        });
+    } catch (error) {
+        console.error("Vote report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to vote",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Remove own vote from report
+ * DELETE /reports/:id/vote
+ */
+export const removeVote = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const report = await Report.findById(id);
+
+        if (!report || !report.isVisibleTo(req.user)) {
+            return reportNotFound(res);
+        }
+
+        const previousVote = report.votes.confirms.some((voterId) => voterId.equals(req.userId))
+            ? "confirm"
+            : report.votes.disputes.some((voterId) => voterId.equals(req.userId)) ? "dispute" : null;
+
+        if (!previousVote) {
             return res.status(404).json({
                 success: false,
-                message: "Report not found",
+                message: "You have not voted on this report",
             });
         }
 
+        await report.removeVote(req.userId);
+
+        // Log audit
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "remove_vote",
+            entityType: "report",
+            entityId: report._id,
+            payload: { vote: previousVote },
+        });
+
+        const counts = {
+            confirmCount: report.confirmCount,
+            disputeCount: report.disputeCount,
+            netVotes: report.netVotes,
+        };
+
+        // Emit socket event for real-time update
+        emitReportUpdate(report.campusId, report._id, counts);
+
+        res.json({
+            success: true,
+            message: "Vote removed successfully",
+            data: counts,
+        });
+    } catch (error) {
+        console.error("Remove vote error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to remove vote",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Follow a report to get notified about its updates
+ * POST /reports/:id/follow
+ */
+export const followReport = async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.id).select("status reporterId");
+
+        if (!report || !report.isVisibleTo(req.user)) {
+            return reportNotFound(res);
+        }
+
+        await Report.follow(report._id, req.userId);
+
+        res.json({
+            success: true,
+            message: "Report followed",
+            data: { isFollowing: true },
+        });
+    } catch (error) {
+        console.error("Follow report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to follow report",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Stop following a report
+ * DELETE /reports/:id/follow
+ */
+export const unfollowReport = async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.id).select("status reporterId");
+
+        if (!report) {
+            return reportNotFound(res);
+        }
+
+        await Report.unfollow(report._id, req.userId);
+
+        res.json({
+            success: true,
+            message: "Report unfollowed",
+            data: { isFollowing: false },
+        });
+    } catch (error) {
+        console.error("Unfollow report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to unfollow report",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Add comment to report
+ * POST /reports/:id/comment
+ */
+export const addComment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { content, isAnonymous = false, parentCommentId } = req.body;
+
+        if (!content || content.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Comment content is required",
+            });
+        }
+
+        const report = await Report.findById(id);
+
+        if (!report || !report.isVisibleTo(req.user)) {
+            return reportNotFound(res);
+        }
+
+        let parentComment = null;
+        if (parentCommentId) {
+            parentComment = await Comment.findOne({ _id: parentCommentId, reportId: report._id, isDeleted: false });
+
+            if (!parentComment) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Comment not found",
+                });
+            }
+
+            if (parentComment.depth >= MAX_COMMENT_DEPTH) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Replies cannot be nested more than ${MAX_COMMENT_DEPTH} levels`,
+                });
+            }
+        }
+
+        let pseudonym;
+        if (isAnonymous) {
+            const campus = await Campus.findById(report.campusId).select("settings.allowAnonymous");
+            if (campus?.settings?.allowAnonymous === false) {
+                return res.status(403).json({
+                    success: false,
+                    message: ANONYMOUS_DISABLED_MESSAGE,
+                });
+            }
+
+            pseudonym = await Report.assignPseudonym(report._id, req.userId);
+        }
+
         // Create comment
         const comment = await Comment.create({
             reportId: id,
             userId: req.userId,
             content: content.trim(),
             isAnonymous,
+            pseudonym,
+            parentCommentId: parentComment?._id ?? null,
+            depth: parentComment ? parentComment.depth + 1 : 0,
         });
 
+        if (parentComment) {
+            await Comment.updateOne({ _id: parentComment._id }, { $inc: { replyCount: 1 } });
+        }
+
         // Update report comment count
-        report.commentsCount += 1;
-        await report.save();
+        report.commentsCount = await refreshCommentsCount(report._id);
 
         // Emit socket event for real-time update
         emitNewComment(id, comment);
 
-        // Notify report owner (if not commenting on own report)
-        if (!report.reporterId.equals(req.userId)) {
+        await Report.follow(report._id, req.userId);
+
+        // Notify the author of the comment being answered
+        const repliedToUserId = parentComment && !parentComment.userId.equals(req.userId)
+            ? parentComment.userId
+            : null;
+
+        if (repliedToUserId) {
             await Notification.createNotification({
-                userId: report.reporterId,
+                userId: repliedToUserId,
                 reportId: id,
                 type: "comment_reply",
+                title: "New reply to your comment",
+                message: `Someone replied to your comment on: ${report.title}`,
+                data: { commentId: comment._id, parentCommentId: parentComment._id },
+                priority: "low",
+            });
+        }
+
+        // Notify report owner (if not commenting on own report or already notified of the reply)
+        if (!report.reporterId.equals(req.userId) && !report.reporterId.equals(repliedToUserId)) {
+            await Notification.createNotification({
+                userId: report.reporterId,
+                reportId: id,
+                type: "new_comment",
                 title: "New comment on your report",
                 message: `Someone commented on your report: ${report.title}`,
                 data: { commentId: comment._id },
@@ -556,21 +1272,198 @@ export const addComment = async (req, res) => {
     }
 };
 
+/**
+ * Post an official update on a report (moderators and security staff)
+ * Shown with a role badge, pinned above regular comments by default.
+ * POST /reports/:id/updates
+ */
+export const postOfficialUpdate = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { content, isPinned = true } = req.body;
+
+        const report = await Report.findById(id);
+
+        if (!report) {
+            return reportNotFound(res);
+        }
+
+        // Check campus access
+        if (!report.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        // Broadcasting would reveal a report still held for pre-moderation
+        if (report.status === "pending") {
+            return res.status(409).json({
+                success: false,
+                message: "Report is awaiting moderation",
+            });
+        }
+
+        const comment = await Comment.create({
+            reportId: report._id,
+            userId: req.userId,
+            content: content.trim(),
+            isModeratorComment: true,
+            authorRole: req.user.role,
+            isPinned,
+        });
+        await comment.populate("userId", "name");
+
+        report.commentsCount = await refreshCommentsCount(report._id);
+
+        // Log audit
+        await AuditLog.logAction({
+            reportId: report._id,
+            actorId: req.userId,
+            action: "post_official_update",
+            entityType: "comment",
+            entityId: comment._id,
+            payload: { isPinned },
+        });
+
+        // Broadcast to the whole campus, not only report watchers
+        emitOfficialUpdate(report.campusId, report._id, comment);
+
+        await notifyFollowers(
+            report,
+            {
+                type: "report_update",
+                title: "Official update on a report you follow",
+                message: `${report.title}: ${comment.content.slice(0, 200)}`,
+                data: { commentId: comment._id, authorRole: comment.authorRole },
+                priority: "medium",
+            },
+            [req.userId]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: "Official update posted successfully",
+            data: { comment },
+        });
+    } catch (error) {
+        console.error("Post official update error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to post official update",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Pin or unpin an official update
+ * PATCH /reports/:id/updates/:commentId
+ */
+export const pinOfficialUpdate = async (req, res) => {
+    try {
+        const { id, commentId } = req.params;
+        const { isPinned } = req.body;
+
+        const report = await Report.findById(id).select("campusId");
+
+        if (!report) {
+            return reportNotFound(res);
+        }
+
+        // Check campus access
+        if (!report.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        const comment = await Comment.findOneAndUpdate(
+            { _id: commentId, reportId: report._id, isModeratorComment: true, isDeleted: false },
+            { $set: { isPinned } },
+            { new: true }
+        ).populate("userId", "name");
+
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: "Official update not found",
+            });
+        }
+
+        // Emit socket event for real-time update
+        emitCommentUpdate(report._id, comment);
+
+        res.json({
+            success: true,
+            message: isPinned ? "Update pinned" : "Update unpinned",
+            data: { comment },
+        });
+    } catch (error) {
+        console.error("Pin official update error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update pin",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
 /**
  * Get comments for a report
- * GET /reports/:id/comments
+ * Returns a flat list (oldest first) unless threaded=true is passed; threaded
+ * responses nest replies up to depth levels, and parentId returns the replies
+ * below a single comment (to continue deep threads).
+ * GET /reports/:id/comments?threaded=&depth=&parentId=
  */
 export const getReportComments = async (req, res) => {
     try {
         const { id } = req.params;
+        const { threaded, depth = 3, parentId } = req.query;
+        const maxDepth = Math.min(Math.max(parseInt(depth) || 0, 0), MAX_COMMENT_DEPTH);
+
+        const report = await Report.findById(id).select("status reporterId duplicateCount");
+
+        if (!report || !report.isVisibleTo(req.user)) {
+            return reportNotFound(res);
+        }
+
+        // Incident parents include comments from their attached duplicates
+        const reportIds = report.duplicateCount > 0
+            ? [report._id, ...(await Report.find({ parentReportId: report._id }).distinct("_id"))]
+            : report._id;
+
+        const serialize = (c) => (req.user.canModerate() ? c.toModeratorView() : c.toJSON());
+
+        if (threaded !== "true") {
+            const comments = await Comment.findByReport(reportIds);
+
+            return res.json({
+                success: true,
+                data: {
+                    comments: comments.map(serialize),
+                    count: comments.length,
+                },
+            });
+        }
+
+        const comments = await Comment.findThreadByReport(reportIds);
+
+        if (parentId && !comments.some((c) => c._id.equals(parentId))) {
+            return res.status(404).json({
+                success: false,
+                message: "Comment not found",
+            });
+        }
 
-        const comments = await Comment.findByReport(id);
+        const thread = Comment.buildThread(comments.map(serialize), { rootId: parentId, maxDepth });
 
         res.json({
             success: true,
             data: {
-                comments,
-                count: comments.length,
+                comments: thread,
+                count: comments.filter((c) => !c.isDeleted).length,
             },
         });
     } catch (error) {
@@ -583,27 +1476,183 @@ export const getReportComments = async (req, res) => {
     }
 };
 
+/**
+ * Find a live comment belonging to a visible report
+ * Returns null (after sending a 404) when either is missing.
+ */
+const findReportComment = async (req, res) => {
+    const { id, commentId } = req.params;
+
+    const report = await Report.findById(id).select("campusId status reporterId");
+
+    if (!report || !report.isVisibleTo(req.user)) {
+        reportNotFound(res);
+        return null;
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, reportId: report._id, isDeleted: false });
+
+    if (!comment) {
+        res.status(404).json({
+            success: false,
+            message: "Comment not found",
+        });
+        return null;
+    }
+
+    return { report, comment };
+};
+
+/**
+ * Edit own comment (within 10 minutes)
+ * PATCH /reports/:id/comments/:commentId
+ */
+export const updateComment = async (req, res) => {
+    try {
+        const { content } = req.body;
+
+        const found = await findReportComment(req, res);
+        if (!found) return;
+        const { report, comment } = found;
+
+        if (!comment.canEdit(req.userId)) {
+            return res.status(403).json({
+                success: false,
+                message: "Comments can only be edited by their author within 10 minutes",
+            });
+        }
+
+        comment.content = content.trim();
+        comment.isEdited = true;
+        comment.editedAt = new Date();
+        await comment.save();
+
+        // Emit socket event for real-time update
+        emitCommentUpdate(report._id, comment);
+
+        res.json({
+            success: true,
+            message: "Comment updated successfully",
+            data: { comment },
+        });
+    } catch (error) {
+        console.error("Update comment error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update comment",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Delete comment (author, or moderator with a reason)
+ * DELETE /reports/:id/comments/:commentId
+ */
+export const deleteComment = async (req, res) => {
+    try {
+        const { reason } = req.body || {};
+
+        const found = await findReportComment(req, res);
+        if (!found) return;
+        const { report, comment } = found;
+
+        const isAuthor = comment.userId.equals(req.userId);
+
+        if (!isAuthor && !req.user.canModerate()) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only delete your own comments",
+            });
+        }
+
+        // Check campus access
+        if (!isAuthor && !report.campusId.equals(req.user.campusId) && req.user.role !== "super-admin") {
+            return res.status(403).json({
+                success: false,
+                message: "Access denied to this campus",
+            });
+        }
+
+        if (!isAuthor && !reason?.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: "A reason is required to delete another user's comment",
+            });
+        }
+
+        await comment.softDelete(req.userId, reason?.trim());
+        const commentsCount = await refreshCommentsCount(report._id);
+
+        if (comment.parentCommentId) {
+            await Comment.updateOne(
+                { _id: comment.parentCommentId, replyCount: { $gt: 0 } },
+                { $inc: { replyCount: -1 } }
+            );
+        }
+
+        // Moderator removals are audited
+        if (!isAuthor) {
+            await AuditLog.logAction({
+                reportId: report._id,
+                actorId: req.userId,
+                action: "delete_comment",
+                entityType: "comment",
+                entityId: comment._id,
+                payload: { reason: comment.deleteReason, authorId: comment.userId },
+            });
+        }
+
+        // Emit socket events for real-time update
+        emitCommentDeleted(report._id, comment._id, commentsCount);
+        emitReportUpdate(report.campusId, report._id, { commentsCount });
+
+        res.json({
+            success: true,
+            message: "Comment deleted successfully",
+            data: { commentsCount },
+        });
+    } catch (error) {
+        console.error("Delete comment error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete comment",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
 /**
  * Report spam
+ * Flags are weighted by the flagger's reputation; once they reach the campus
+ * threshold the report is queued for moderator review (never removed automatically).
  * POST /reports/:id/report-spam
  */
 export const reportSpam = async (req, res) => {
     try {
         const { id } = req.params;
 
-        const report = await Report.findById(id);
+        const report = await Report.findById(id).select("campusId reporterId status spamReview");
 
-        if (!report) {
-            return res.status(404).json({
+        if (!report || !report.isVisibleTo(req.user)) {
+            return reportNotFound(res);
+        }
+
+        if (report.reporterId.equals(req.userId)) {
+            return res.status(400).json({
                 success: false,
-                message: "Report not found",
+                message: "You cannot flag your own report",
             });
         }
 
         // Add user to spam reports
-        if (!report.spamReports.includes(req.userId)) {
-            report.spamReports.push(req.userId);
-            await report.save();
+        const flagged = await Report.flagAsSpam(report._id, req.userId, req.user.getVoteWeight());
+
+        if (!flagged) {
+            return res.status(409).json({
+                success: false,
+                message: "You have already flagged this report",
+            });
         }
 
         // Log audit
@@ -612,13 +1661,19 @@ export const reportSpam = async (req, res) => {
             action: "report_spam",
             entityType: "report",
             entityId: report._id,
+            payload: { spamScore: flagged.spamScore },
         });
 
-        // TODO: Auto-mark as spam if threshold reached (e.g., 5 reports)
-        if (report.spamReports.length >= 5 && !report.isSpam) {
-            report.isSpam = true;
-            report.status = "spam";
-            await report.save();
+        // Queue for moderator review once the campus threshold is reached
+        const campus = await Campus.findById(report.campusId).select("settings.spamFlagThreshold");
+        const threshold = campus?.settings?.spamFlagThreshold ?? 3;
+
+        if (flagged.spamScore >= threshold && await Report.queueForSpamReview(report._id)) {
+            emitModeratorAction(report.campusId, {
+                action: "spam_review_required",
+                reportId: report._id,
+                spamScore: flagged.spamScore,
+            });
         }
 
         res.json({
@@ -635,15 +1690,93 @@ export const reportSpam = async (req, res) => {
     }
 };
 
+/**
+ * Appeal a spam/invalid decision on own report
+ * POST /reports/:id/appeal
+ */
+export const appealReport = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { message } = req.body;
+
+        if (!message || message.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Appeal message is required",
+            });
+        }
+
+        const report = await Report.findById(id);
+
+        if (!report || !report.reporterId.equals(req.userId)) {
+            return reportNotFound(res);
+        }
+
+        if (!report.canAppeal(req.userId)) {
+            return res.status(409).json({
+                success: false,
+                message: "This report cannot be appealed",
+            });
+        }
+
+        report.appeal = {
+            status: "pending",
+            message: message.trim(),
+            submittedAt: new Date(),
+        };
+        await report.save();
+
+        // Log audit
+        await AuditLog.logAction({
+            actorId: req.userId,
+            action: "appeal_report",
+            entityType: "report",
+            entityId: report._id,
+            payload: { status: report.status },
+        });
+
+        emitModeratorAction(report.campusId, {
+            action: "appeal_submitted",
+            reportId: report._id,
+        });
+
+        res.json({
+            success: true,
+            message: "Appeal submitted successfully",
+            data: { appeal: { status: report.appeal.status, submittedAt: report.appeal.submittedAt } },
+        });
+    } catch (error) {
+        console.error("Appeal report error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to submit appeal",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
 export default {
     getNearbyReports,
+    getReportsWithin,
     getAllReports,
+    searchReports,
+    getPossibleDuplicates,
     getReportById,
     createReport,
     updateReport,
+    getReportHistory,
+    revertReport,
     deleteReport,
     voteReport,
+    removeVote,
+    followReport,
+    unfollowReport,
     addComment,
+    postOfficialUpdate,
+    pinOfficialUpdate,
     getReportComments,
+    updateComment,
+    deleteComment,
     reportSpam,
+    appealReport,
 };
@@ -1,10 +1,24 @@
-import { UTApi } from "uploadthing/server";
 import env from "../config/env.js";
+import MediaAsset from "../db/schemas/MediaAsset.js";
+import { UPLOAD_TYPES, storeUpload, deleteMediaAssets, deleteStoredFiles } from "../services/mediaService.js";
+import { getStorage } from "../services/storage/index.js";
+import { detectMimeType } from "../utils/fileType.js";
 
-// Initialize UploadThing API
-const utapi = new UTApi({
-    apiKey: env.uploadthing?.apiKey,
-});
+/**
+ * Split file keys into deletable assets and a permission error
+ * Files without a MediaAsset record predate tracking and can only be removed by moderators.
+ * @returns {Promise<{assets: Object[], untrackedKeys: string[], forbidden: boolean}>}
+ */
+const resolveDeletableFiles = async (fileKeys, user) => {
+    const assets = await MediaAsset.find({ key: { $in: fileKeys } });
+    const trackedKeys = new Set(assets.map((asset) => asset.key));
+    const untrackedKeys = fileKeys.filter((key) => !trackedKeys.has(key));
+
+    const forbidden =
+        assets.some((asset) => !asset.canDelete(user)) || (untrackedKeys.length > 0 && !user.canModerate());
+
+    return { assets, untrackedKeys, forbidden };
+};
 
 /**
  * Get upload URL and metadata
@@ -22,10 +36,20 @@ export const prepareUpload = async (req, res) => {
             });
         }
 
+        // Report videos go through the reportVideo route
+        const isVideo = UPLOAD_TYPES.reportVideo.mimeTypes.includes(fileType);
+        const routeType = isVideo && uploadType === "reportImage" ? "reportVideo" : uploadType;
+        const uploadConfig = UPLOAD_TYPES[routeType];
+
+        if (!uploadConfig) {
+            return res.status(400).json({
+                success: false,
+                message: `uploadType must be one of: ${Object.keys(UPLOAD_TYPES).join(", ")}`,
+            });
+        }
+
         // Validate file type
-        const allowedImageTypes = ["image/jpeg", "image/jpg", "image/png", "image/gif", "image/webp"];
-        const allowedVideoTypes = ["video/mp4", "video/quicktime", "video/webm"];
-        const allowedTypes = [...allowedImageTypes, ...allowedVideoTypes];
+        const allowedTypes = uploadConfig.mimeTypes;
 
         if (!allowedTypes.includes(fileType)) {
             return res.status(400).json({
@@ -35,14 +59,7 @@ export const prepareUpload = async (req, res) => {
         }
 
         // Validate file size based on type
-        let maxSize;
-        if (uploadType === "profilePicture") {
-            maxSize = 2 * 1024 * 1024; // 2MB
-        } else if (allowedVideoTypes.includes(fileType)) {
-            maxSize = 32 * 1024 * 1024; // 32MB
-        } else {
-            maxSize = 4 * 1024 * 1024; // 4MB
-        }
+        const { maxSize } = uploadConfig;
 
         if (fileSize && fileSize > maxSize) {
             return res.status(400).json({
@@ -52,14 +69,17 @@ export const prepareUpload = async (req, res) => {
         }
 
         // Return upload configuration
-        // The actual upload will be handled by UploadThing on the frontend
+        // With UploadThing the frontend uploads directly; other drivers upload through the API
+        const isUploadthing = env.storage.driver === "uploadthing";
+
         res.json({
             success: true,
             data: {
-                uploadType,
+                uploadType: routeType,
                 maxSize,
                 allowedTypes: allowedTypes,
-                endpoint: `/api/uploadthing`, // UploadThing endpoint
+                storageDriver: env.storage.driver,
+                endpoint: isUploadthing ? `/api/uploadthing` : `/uploads/files/${routeType}`,
             },
         });
     } catch (error) {
@@ -73,7 +93,74 @@ export const prepareUpload = async (req, res) => {
 };
 
 /**
- * Delete file from UploadThing
+ * Upload files through the API (field "files")
+ * Used by the s3 and local storage drivers; also works with UploadThing.
+ * POST /uploads/files/:uploadType
+ */
+export const uploadFiles = async (req, res) => {
+    try {
+        const { uploadType } = req.params;
+        const files = req.files || [];
+
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "At least one file is required",
+            });
+        }
+
+        // The declared type comes from the client, so check the contents as well
+        const contentTypes = files.map((file) => detectMimeType(file.buffer));
+        const { mimeTypes } = UPLOAD_TYPES[uploadType];
+
+        const rejected = files.some(
+            (file, index) => !mimeTypes.includes(file.mimetype) || !mimeTypes.includes(contentTypes[index])
+        );
+
+        if (rejected) {
+            return res.status(400).json({
+                success: false,
+                message: "File type not allowed for this upload",
+            });
+        }
+
+        const assets = [];
+        for (const [index, file] of files.entries()) {
+            assets.push(
+                await storeUpload(uploadType, req.user, {
+                    buffer: file.buffer,
+                    name: file.originalname,
+                    contentType: contentTypes[index],
+                })
+            );
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `${assets.length} file(s) uploaded successfully`,
+            data: {
+                files: assets.map((asset) => ({
+                    assetId: asset._id,
+                    uploadedBy: asset.uploaderId,
+                    url: asset.url,
+                    key: asset.key,
+                    name: asset.name,
+                    size: asset.size,
+                })),
+            },
+        });
+    } catch (error) {
+        console.error("Upload files error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to upload files",
+            error: env.nodeEnv === "development" ? error.message : undefined,
+        });
+    }
+};
+
+/**
+ * Delete file from storage
  * DELETE /uploads/delete
  */
 export const deleteFile = async (req, res) => {
@@ -87,8 +174,18 @@ export const deleteFile = async (req, res) => {
             });
         }
 
-        // Delete file from UploadThing
-        await utapi.deleteFiles(fileKey);
+        const { assets, untrackedKeys, forbidden } = await resolveDeletableFiles([fileKey], req.user);
+
+        if (forbidden) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only delete your own files",
+            });
+        }
+
+        // Delete file from storage
+        await deleteMediaAssets(assets);
+        await deleteStoredFiles(untrackedKeys);
 
         res.json({
             success: true,
@@ -105,7 +202,7 @@ export const deleteFile = async (req, res) => {
 };
 
 /**
- * Delete multiple files from UploadThing
+ * Delete multiple files from storage
  * DELETE /uploads/delete-multiple
  */
 export const deleteMultipleFiles = async (req, res) => {
@@ -119,8 +216,18 @@ export const deleteMultipleFiles = async (req, res) => {
             });
         }
 
-        // Delete files from UploadThing
-        await utapi.deleteFiles(fileKeys);
+        const { assets, untrackedKeys, forbidden } = await resolveDeletableFiles(fileKeys, req.user);
+
+        if (forbidden) {
+            return res.status(403).json({
+                success: false,
+                message: "You can only delete your own files",
+            });
+        }
+
+        // Delete files from storage
+        await deleteMediaAssets(assets);
+        await deleteStoredFiles(untrackedKeys);
 
         res.json({
             success: true,
@@ -137,7 +244,7 @@ export const deleteMultipleFiles = async (req, res) => {
 };
 
 /**
- * Get file info from UploadThing
+ * Get file info from storage
  * GET /uploads/info/:fileKey
  */
 export const getFileInfo = async (req, res) => {
@@ -151,8 +258,10 @@ export const getFileInfo = async (req, res) => {
             });
         }
 
-        // Get file info from UploadThing
-        const fileData = await utapi.getFileUrls(fileKey);
+        // Look the file up where it was stored
+        const asset = await MediaAsset.findOne({ key: fileKey }).select("storageDriver");
+        const storage = await getStorage(asset?.storageDriver);
+        const fileData = await storage.getFileInfo(fileKey);
 
         res.json({
             success: true,
@@ -170,6 +279,7 @@ export const getFileInfo = async (req, res) => {
 
 export default {
     prepareUpload,
+    uploadFiles,
     deleteFile,
     deleteMultipleFiles,
     getFileInfo,
@@ -4,6 +4,8 @@ import Notification from "../db/schemas/Notification.js";
 import Device from "../db/schemas/Device.js";
 import { hashPassword, comparePassword, validatePasswordStrength } from "../utils/password.js";
 import env from "../config/env.js";
+import { paginate } from "../utils/pagination.js";
+import { setProfilePicture } from "../services/mediaService.js";
 
 /**
  * Get user profile
@@ -63,6 +65,7 @@ export const updateUserProfile = async (req, res) => {
         const {
             name,
             phone,
+            profilePicture,
             notificationPreferences,
             isAnonymousByDefault,
         } = req.body;
@@ -82,6 +85,15 @@ export const updateUserProfile = async (req, res) => {
         if (notificationPreferences) user.notificationPreferences = { ...user.notificationPreferences, ...notificationPreferences };
         if (isAnonymousByDefault !== undefined) user.isAnonymousByDefault = isAnonymousByDefault;
 
+        if (profilePicture !== undefined && profilePicture !== user.profilePicture) {
+            if (!(await setProfilePicture(user, profilePicture))) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Profile picture must be one of your uploaded profile pictures",
+                });
+            }
+        }
+
         await user.save();
 
         res.json({
@@ -164,12 +176,12 @@ export const changePassword = async (req, res) => {
 
 /**
  * Get user's reports
- * GET /users/:id/reports
+ * GET /users/:id/reports?cursor=&page=&limit=
  */
 export const getUserReports = async (req, res) => {
     try {
         const { id } = req.params;
-        const { limit = 50, page = 1 } = req.query;
+        const { limit = 50, cursor, page } = req.query;
 
         // Check authorization
         if (id !== req.userId.toString() && !req.user.canModerate()) {
@@ -179,25 +191,25 @@ export const getUserReports = async (req, res) => {
             });
         }
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const reports = await Report.find({ reporterId: id })
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(skip);
+        const result = await paginate(
+            Report,
+            { reporterId: id },
+            { createdAt: -1 },
+            { cursor, page, limit: parseInt(limit) }
+        );
 
-        const total = await Report.countDocuments({ reporterId: id });
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cursor",
+            });
+        }
 
         res.json({
             success: true,
             data: {
-                reports,
-                pagination: {
-                    total,
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    pages: Math.ceil(total / parseInt(limit)),
-                },
+                reports: result.items,
+                pagination: result.pagination,
             },
         });
     } catch (error) {
@@ -212,12 +224,12 @@ export const getUserReports = async (req, res) => {
 
 /**
  * Get user's notifications
- * GET /users/:id/notifications
+ * GET /users/:id/notifications?unreadOnly=&cursor=&page=&limit=
  */
 export const getUserNotifications = async (req, res) => {
     try {
         const { id } = req.params;
-        const { unreadOnly = false, limit = 50 } = req.query;
+        const { unreadOnly = false, limit = 50, cursor, page } = req.query;
 
         // Check authorization
         if (id !== req.userId.toString()) {
@@ -232,18 +244,29 @@ export const getUserNotifications = async (req, res) => {
             query.isRead = false;
         }
 
-        const notifications = await Notification.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .populate("reportId", "title category");
+        const result = await paginate(
+            Notification,
+            query,
+            { createdAt: -1 },
+            { cursor, page, limit: parseInt(limit) },
+            (q) => q.populate("reportId", "title category")
+        );
+
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid cursor",
+            });
+        }
 
         const unreadCount = await Notification.countDocuments({ userId: id, isRead: false });
 
         res.json({
             success: true,
             data: {
-                notifications,
+                notifications: result.items,
                 unreadCount,
+                pagination: result.pagination,
             },
         });
     } catch (error) {
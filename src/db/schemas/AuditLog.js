@@ -7,10 +7,11 @@ const auditLogSchema = new mongoose.Schema(
             ref: "Report",
             index: true,
         },
+        // Null for actions taken by background jobs (see metadata.system)
         actorId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
-            required: [true, "Actor is required"],
+            default: null,
             index: true,
         },
         action: {
@@ -20,15 +21,32 @@ const auditLogSchema = new mongoose.Schema(
                 // Report actions
                 "create_report",
                 "edit_report",
+                "revert_report",
                 "delete_report",
                 "vote_report",
+                "remove_vote",
                 "report_spam",
+                "delete_comment",
+                "post_official_update",
+                "appeal_report",
                 // Moderation actions
+                "approve_report",
                 "verify_report",
+                "investigate_report",
                 "invalidate_report",
+                "mark_spam",
                 "resolve_report",
+                "reopen_report",
+                "restore_report",
+                "archive_report",
+                "unarchive_report",
+                "dismiss_spam_flags",
+                "reject_appeal",
                 "assign_report",
                 "add_moderator_note",
+                "merge_reports",
+                "split_report",
+                "export_reports",
                 // User actions
                 "verify_email",
                 "ban_user",
@@ -66,10 +84,11 @@ const auditLogSchema = new mongoose.Schema(
             before: mongoose.Schema.Types.Mixed,
             after: mongoose.Schema.Types.Mixed,
         },
-        // IP address and user agent
+        // IP address and user agent, or the background job that acted
         metadata: {
             ipAddress: String,
             userAgent: String,
+            system: String,
             location: {
                 type: {
                     type: String,
@@ -118,7 +137,8 @@ auditLogSchema.statics.logAction = async function (data) {
 };
 
 auditLogSchema.statics.getReportHistory = function (reportId, limit = 50) {
-    return this.find({ reportId })
+    // Most report actions reference the report as their entity
+    return this.find({ $or: [{ reportId }, { entityType: "report", entityId: reportId }] })
         .sort({ createdAt: -1 })
         .limit(limit)
         .populate("actorId", "name email role");
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { isPointInGeometry } from "../../utils/geo.js";
 
 const campusSchema = new mongoose.Schema(
     {
@@ -31,8 +32,15 @@ const campusSchema = new mongoose.Schema(
                 default: "Polygon",
             },
             coordinates: {
-                type: [[[Number]]], // Array of LinearRings
+                // Polygon: array of LinearRings, MultiPolygon: array of Polygons
+                type: mongoose.Schema.Types.Mixed,
                 required: true,
+                validate: {
+                    validator: function (coords) {
+                        return Array.isArray(coords) && coords.length > 0;
+                    },
+                    message: "Boundary coordinates must be a non-empty array",
+                },
             },
         },
         // Center point for map display
@@ -80,6 +88,58 @@ const campusSchema = new mongoose.Schema(
                 type: Boolean,
                 default: true,
             },
+            // Reputation-weighted spam flags needed to queue a report for moderator review
+            spamFlagThreshold: {
+                type: Number,
+                default: 3,
+                min: [1, "Spam flag threshold must be at least 1"],
+                max: [100, "Spam flag threshold cannot exceed 100"],
+            },
+            // Reputation-weighted vote totals (as used for netVotes) that notify the reporter and moderators
+            voteThresholds: {
+                confirm: {
+                    type: Number,
+                    default: 5,
+                    min: [1, "Vote threshold must be at least 1"],
+                },
+                dispute: {
+                    type: Number,
+                    default: 5,
+                    min: [1, "Vote threshold must be at least 1"],
+                },
+            },
+            // Archive reported items of a category after a number of hours
+            // (optionally only while nobody has confirmed them)
+            expiryRules: {
+                type: [
+                    {
+                        _id: false,
+                        category: {
+                            type: String,
+                            required: [true, "Expiry rule category is required"],
+                        },
+                        afterHours: {
+                            type: Number,
+                            required: [true, "Expiry rule hours are required"],
+                            min: [1, "Expiry must be at least 1 hour"],
+                        },
+                        onlyUnconfirmed: {
+                            type: Boolean,
+                            default: true,
+                        },
+                    },
+                ],
+                default: () => [
+                    { category: "suspicious_activity", afterHours: 24, onlyUnconfirmed: true },
+                    { category: "suspicious", afterHours: 24, onlyUnconfirmed: true },
+                ],
+            },
+            // How to handle reports located outside the campus boundary
+            outOfBoundsPolicy: {
+                type: String,
+                enum: ["reject", "warn", "flag"],
+                default: "flag",
+            },
         },
         // Contact information
         contact: {
@@ -138,9 +198,19 @@ campusSchema.virtual("users", {
 
 // Instance methods
 campusSchema.methods.isPointInBoundary = function (longitude, latitude) {
-    // Would need turf.js or similar for proper point-in-polygon check
-    // For now, return true (implement proper check in production)
-    return true;
+    return isPointInGeometry(longitude, latitude, this.boundaries);
+};
+
+campusSchema.methods.checkReportLocation = function (longitude, latitude) {
+    const isWithinBoundary = this.isPointInBoundary(longitude, latitude);
+    const policy = this.settings?.outOfBoundsPolicy || "flag";
+
+    return {
+        isWithinBoundary,
+        policy,
+        flagged: !isWithinBoundary && policy === "flag",
+        checkedAt: new Date(),
+    };
 };
 
 campusSchema.methods.incrementUserCount = async function () {
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Deepest reply level that can be stored (top-level comments are depth 0)
+export const MAX_COMMENT_DEPTH = 5;
+
 const commentSchema = new mongoose.Schema(
     {
         reportId: {
@@ -25,6 +28,26 @@ const commentSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Per-report alias shown instead of the author when anonymous
+        pseudonym: {
+            type: String,
+        },
+        // Threading - replies point at the comment they answer
+        parentCommentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Comment",
+            default: null,
+        },
+        depth: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: [MAX_COMMENT_DEPTH, `Replies cannot be nested more than ${MAX_COMMENT_DEPTH} levels`],
+        },
+        replyCount: {
+            type: Number,
+            default: 0,
+        },
         isEdited: {
             type: Boolean,
             default: false,
@@ -32,11 +55,20 @@ const commentSchema = new mongoose.Schema(
         editedAt: {
             type: Date,
         },
-        // For moderator/admin comments
+        // Official updates posted by moderators or security staff
         isModeratorComment: {
             type: Boolean,
             default: false,
         },
+        // Role badge shown on official updates (role at time of posting)
+        authorRole: {
+            type: String,
+            enum: ["moderator", "admin", "security", "super-admin"],
+        },
+        isPinned: {
+            type: Boolean,
+            default: false,
+        },
         isDeleted: {
             type: Boolean,
             default: false,
@@ -44,6 +76,15 @@ const commentSchema = new mongoose.Schema(
         deletedAt: {
             type: Date,
         },
+        // Set when a moderator removes someone else's comment
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        deleteReason: {
+            type: String,
+            maxlength: [400, "Reason cannot exceed 400 characters"],
+        },
     },
     {
         timestamps: true,
@@ -52,10 +93,13 @@ const commentSchema = new mongoose.Schema(
                 if (ret.isDeleted) {
                     ret.content = "[Comment deleted]";
                 }
-                if (ret.isAnonymous && !ret._moderatorView) {
+                delete ret.deletedBy;
+                delete ret.deleteReason;
+                if (ret.isAnonymous) {
                     delete ret.userId;
+                } else {
+                    delete ret.pseudonym;
                 }
-                delete ret._moderatorView;
                 return ret;
             },
         },
@@ -65,6 +109,9 @@ const commentSchema = new mongoose.Schema(
 // Indexes
 commentSchema.index({ reportId: 1, createdAt: -1 });
 commentSchema.index({ userId: 1, createdAt: -1 });
+commentSchema.index({ parentCommentId: 1, createdAt: 1 });
+commentSchema.index({ reportId: 1, isModeratorComment: 1, createdAt: -1 });
+commentSchema.index({ content: "text" }, { name: "comment_text" });
 
 // Instance methods
 commentSchema.methods.canEdit = function (userId, timeLimit = 10 * 60 * 1000) {
@@ -77,19 +124,65 @@ commentSchema.methods.canEdit = function (userId, timeLimit = 10 * 60 * 1000) {
     return timeSinceCreation < timeLimit;
 };
 
-commentSchema.methods.softDelete = async function () {
+commentSchema.methods.toModeratorView = function () {
+    // Skip the JSON transform so moderators can resolve anonymous authors
+    return this.toObject({ transform: false });
+};
+
+commentSchema.methods.softDelete = async function (deletedBy, reason) {
     this.isDeleted = true;
     this.deletedAt = new Date();
+    if (deletedBy && !this.userId.equals(deletedBy)) {
+        this.deletedBy = deletedBy;
+        this.deleteReason = reason;
+    }
     await this.save();
 };
 
 // Static methods
 commentSchema.statics.findByReport = function (reportId) {
-    return this.find({ reportId, isDeleted: false })
+    // Accepts a list of IDs to load a whole incident cluster
+    const reportQuery = Array.isArray(reportId) ? { $in: reportId } : reportId;
+
+    return this.find({ reportId: reportQuery, isDeleted: false })
+        .sort({ createdAt: 1 })
+        .populate("userId", "name");
+};
+
+commentSchema.statics.findThreadByReport = function (reportId) {
+    // Deleted comments are kept so their replies stay attached
+    const reportQuery = Array.isArray(reportId) ? { $in: reportId } : reportId;
+
+    return this.find({ reportId: reportQuery })
         .sort({ createdAt: 1 })
         .populate("userId", "name");
 };
 
+commentSchema.statics.buildThread = function (comments, { rootId = null, maxDepth = MAX_COMMENT_DEPTH } = {}) {
+    // Nest serialized comments under their parents, up to maxDepth levels below the root
+    const childrenOf = new Map();
+    for (const comment of comments) {
+        const key = comment.parentCommentId ? comment.parentCommentId.toString() : null;
+        if (!childrenOf.has(key)) childrenOf.set(key, []);
+        childrenOf.get(key).push(comment);
+    }
+
+    // Pinned official updates come first at the top level
+    const pinnedFirst = (a, b) => Number(Boolean(b.isPinned)) - Number(Boolean(a.isPinned));
+
+    const nest = (parentKey, level) =>
+        [...(childrenOf.get(parentKey) || [])]
+            .sort((a, b) => (level === 0 ? pinnedFirst(a, b) : 0))
+            .map((comment) => {
+                const replies = level < maxDepth ? nest(comment._id.toString(), level + 1) : [];
+                return { ...comment, replies };
+            })
+            // Drop deleted comments nobody replied to
+            .filter((comment) => !comment.isDeleted || comment.replies.length > 0 || comment.replyCount > 0);
+
+    return nest(rootId ? rootId.toString() : null, 0);
+};
+
 commentSchema.statics.countByReport = function (reportId) {
     return this.countDocuments({ reportId, isDeleted: false });
 };
@@ -0,0 +1,182 @@
+import mongoose from "mongoose";
+
+// Every storage driver ends its file URLs with the storage key
+const keyFromUrl = (url) => {
+    try {
+        return decodeURIComponent(new URL(url).pathname.split("/").pop()) || null;
+    } catch {
+        return null;
+    }
+};
+
+// An uploaded file and what it is attached to (a report, or the uploader's profile)
+const mediaAssetSchema = new mongoose.Schema(
+    {
+        uploaderId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: [true, "Uploader is required"],
+            index: true,
+        },
+        campusId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Campus",
+            index: true,
+        },
+        // Storage driver holding the file (see services/storage)
+        storageDriver: {
+            type: String,
+            enum: ["uploadthing", "s3", "local"],
+            default: "uploadthing",
+        },
+        // Storage key
+        key: {
+            type: String,
+            required: [true, "File key is required"],
+            unique: true,
+        },
+        url: {
+            type: String,
+            required: [true, "File URL is required"],
+            index: true,
+        },
+        name: {
+            type: String,
+        },
+        size: {
+            type: Number,
+            min: 0,
+        },
+        mimeType: {
+            type: String,
+        },
+        // Upload route the file came through
+        uploadType: {
+            type: String,
+            enum: ["reportImage", "reportVideo", "profilePicture"],
+            required: true,
+        },
+        reportId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Report",
+            default: null,
+            index: true,
+        },
+        profileId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        attachedAt: {
+            type: Date,
+        },
+        // Whether EXIF/XMP metadata was removed from the stored file
+        metadataStripped: {
+            type: Boolean,
+            default: false,
+        },
+        // Read from the original photo before stripping. The coordinates
+        // are removed once they have been compared with the report.
+        embeddedMetadata: {
+            latitude: {
+                type: Number,
+                select: false,
+            },
+            longitude: {
+                type: Number,
+                select: false,
+            },
+            takenAt: Date,
+            comparedAt: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+mediaAssetSchema.index({ reportId: 1, profileId: 1, updatedAt: 1 }); // Orphan cleanup
+
+// Virtual for checking if the asset is attached anywhere
+mediaAssetSchema.virtual("isAttached").get(function () {
+    return Boolean(this.reportId || this.profileId);
+});
+
+// Instance methods
+mediaAssetSchema.methods.canDelete = function (user) {
+    // Owners can always delete; moderators only within their campus
+    if (this.uploaderId.equals(user._id)) return true;
+    if (!user.canModerate()) return false;
+
+    return user.role === "super-admin" || Boolean(this.campusId?.equals(user.campusId));
+};
+
+// Static methods
+mediaAssetSchema.statics.attachToReport = async function (reportId, uploaderId, urls) {
+    // Only the uploader's own unattached files can be attached. Matched by key,
+    // since the same file can be reachable through more than one URL.
+    const keys = (urls || []).map(keyFromUrl).filter(Boolean);
+    if (keys.length === 0) return 0;
+
+    const result = await this.updateMany(
+        { key: { $in: keys }, uploaderId, reportId: null, profileId: null },
+        { $set: { reportId, attachedAt: new Date() } }
+    );
+    return result.modifiedCount;
+};
+
+mediaAssetSchema.statics.detachFromReport = async function (reportId, keptUrls = []) {
+    // Release files no longer referenced by the report; the orphan cleanup removes them later
+    const keys = keptUrls.map(keyFromUrl).filter(Boolean);
+
+    const result = await this.updateMany(
+        { reportId, key: { $nin: keys } },
+        { $set: { reportId: null }, $unset: { attachedAt: "" } }
+    );
+    return result.modifiedCount;
+};
+
+mediaAssetSchema.statics.attachToProfile = async function (profileId, url) {
+    // Only the user's own profile picture uploads can be used
+    const key = keyFromUrl(url);
+    if (!key) return false;
+
+    const result = await this.updateOne(
+        { key, uploaderId: profileId, uploadType: "profilePicture", reportId: null, profileId: { $in: [null, profileId] } },
+        { $set: { profileId, attachedAt: new Date() } }
+    );
+    return result.matchedCount === 1;
+};
+
+mediaAssetSchema.statics.detachFromProfile = async function (profileId, keptUrl = null) {
+    // Release the previous picture; the orphan cleanup removes it later
+    const keys = keptUrl ? [keyFromUrl(keptUrl)].filter(Boolean) : [];
+
+    const result = await this.updateMany(
+        { profileId, key: { $nin: keys } },
+        { $set: { profileId: null }, $unset: { attachedAt: "" } }
+    );
+    return result.modifiedCount;
+};
+
+mediaAssetSchema.statics.findMissingUrls = async function (urls) {
+    // URLs whose file is no longer tracked (removed by its owner or the orphan cleanup)
+    const keys = new Map(urls.map((url) => [url, keyFromUrl(url)]));
+    const existing = new Set(await this.distinct("key", { key: { $in: [...keys.values()].filter(Boolean) } }));
+
+    return urls.filter((url) => !existing.has(keys.get(url)));
+};
+
+mediaAssetSchema.statics.findOrphaned = function (olderThanHours, limit = 500) {
+    // updatedAt also moves when a file is detached, giving it a fresh grace period
+    const cutoff = new Date(Date.now() - olderThanHours * 60 * 60 * 1000);
+
+    return this.find({ reportId: null, profileId: null, updatedAt: { $lt: cutoff } })
+        .sort({ updatedAt: 1 })
+        .limit(limit);
+};
+
+const MediaAsset = mongoose.model("MediaAsset", mediaAssetSchema);
+
+export default MediaAsset;
@@ -20,6 +20,7 @@ const notificationSchema = new mongoose.Schema(
                 "new_report",           // New report in user's radius
                 "report_update",        // Status change on followed report
                 "report_resolved",      // Report marked as resolved
+                "new_comment",          // Someone commented on user's report
                 "comment_reply",        // Someone replied to user's comment
                 "vote_threshold",       // Report reached vote threshold
                 "moderator_action",     // Moderator action on user's report
@@ -1,4 +1,100 @@
 import mongoose from "mongoose";
+import { generatePseudonym } from "../../utils/pseudonym.js";
+
+// Statuses shown in public feeds ("pending" reports await pre-moderation)
+export const FEED_STATUSES = ["reported", "verified", "investigating", "resolved"];
+
+const MODERATOR_ROLES = ["moderator", "admin", "super-admin"];
+const ADMIN_ROLES = ["admin", "super-admin"];
+
+// Report lifecycle: reported -> verified -> investigating -> resolved, plus invalid/spam
+// Stale reported items are archived (by moderators or the expiry job) and can be restored.
+// Each transition maps to its audit action, the roles allowed to perform it
+// and whether a reason must be given.
+export const STATUS_TRANSITIONS = {
+    pending: {
+        reported: { action: "approve_report", roles: MODERATOR_ROLES },
+        verified: { action: "verify_report", roles: MODERATOR_ROLES },
+        invalid: { action: "invalidate_report", roles: MODERATOR_ROLES, requiresReason: true },
+        spam: { action: "mark_spam", roles: MODERATOR_ROLES, requiresReason: true },
+    },
+    reported: {
+        verified: { action: "verify_report", roles: MODERATOR_ROLES },
+        invalid: { action: "invalidate_report", roles: MODERATOR_ROLES, requiresReason: true },
+        spam: { action: "mark_spam", roles: MODERATOR_ROLES, requiresReason: true },
+        archived: { action: "archive_report", roles: MODERATOR_ROLES },
+    },
+    verified: {
+        investigating: { action: "investigate_report", roles: MODERATOR_ROLES },
+        resolved: { action: "resolve_report", roles: MODERATOR_ROLES },
+        invalid: { action: "invalidate_report", roles: MODERATOR_ROLES, requiresReason: true },
+    },
+    investigating: {
+        resolved: { action: "resolve_report", roles: MODERATOR_ROLES },
+        invalid: { action: "invalidate_report", roles: MODERATOR_ROLES, requiresReason: true },
+    },
+    // Reopening or restoring a closed report is reserved for admins
+    resolved: {
+        investigating: { action: "reopen_report", roles: ADMIN_ROLES, requiresReason: true },
+    },
+    invalid: {
+        reported: { action: "restore_report", roles: ADMIN_ROLES, requiresReason: true },
+    },
+    spam: {
+        reported: { action: "restore_report", roles: ADMIN_ROLES, requiresReason: true },
+    },
+    archived: {
+        reported: { action: "unarchive_report", roles: MODERATOR_ROLES },
+    },
+};
+
+// Remove sensitive data for non-moderators (see toModeratorView for the full view)
+function sanitizeReport(doc, ret) {
+    if (doc.isAnonymous) {
+        delete ret.reporterId;
+    } else {
+        delete ret.reporterPseudonym;
+    }
+    delete ret.anonymousParticipants;
+    delete ret.moderatorNotes;
+    delete ret.spamReports;
+    delete ret.editHistory;
+    delete ret.followers;
+    delete ret.voteWeights;
+    delete ret.spamScore;
+    delete ret.spamReview;
+    delete ret.mediaMetadataCheck;
+    delete ret.appeal;
+    return ret;
+}
+
+// Fields tracked in edit history
+const EDITABLE_FIELDS = ["title", "description", "category", "severity", "location", "mediaUrls"];
+
+// Plain value of an editable field (location is tracked by its coordinates)
+const getEditableValue = (report, field) => {
+    if (field === "location") return [...report.location.coordinates];
+    if (field === "mediaUrls") return [...report.mediaUrls];
+    return report[field];
+};
+
+const sumWeights = (weights) => [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+
+// Categories that commonly describe the same incident
+const RELATED_CATEGORIES = {
+    safety: ["safety", "hazard", "suspicious", "suspicious_activity"],
+    emergency: ["emergency", "fire", "medical", "assault"],
+    theft: ["theft", "vandalism", "suspicious", "suspicious_activity"],
+    suspicious: ["suspicious", "suspicious_activity", "safety", "theft"],
+    suspicious_activity: ["suspicious_activity", "suspicious", "safety", "theft"],
+    harassment: ["harassment", "assault"],
+    vandalism: ["vandalism", "theft"],
+    medical: ["medical", "emergency"],
+    fire: ["fire", "emergency", "hazard"],
+    hazard: ["hazard", "fire", "safety"],
+    assault: ["assault", "harassment", "emergency"],
+    other: ["other"],
+};
 
 const reportSchema = new mongoose.Schema(
     {
@@ -73,6 +169,54 @@ const reportSchema = new mongoose.Schema(
                 },
             },
         },
+        // Result of the campus boundary check at submission/edit time
+        boundaryCheck: {
+            isWithinBoundary: {
+                type: Boolean,
+            },
+            policy: {
+                type: String,
+                enum: ["reject", "warn", "flag"],
+            },
+            flagged: {
+                type: Boolean,
+                default: false,
+            },
+            checkedAt: {
+                type: Date,
+            },
+        },
+        // Photos whose embedded GPS/capture time disagree with the report
+        mediaMetadataCheck: {
+            mismatch: {
+                type: Boolean,
+                default: false,
+            },
+            checkedAt: {
+                type: Date,
+            },
+            findings: {
+                type: [
+                    {
+                        _id: false,
+                        assetId: {
+                            type: mongoose.Schema.Types.ObjectId,
+                            ref: "MediaAsset",
+                        },
+                        url: String,
+                        reasons: [
+                            {
+                                type: String,
+                                enum: ["location_mismatch", "timestamp_mismatch"],
+                            },
+                        ],
+                        distanceMeters: Number,
+                        timeDifferenceMinutes: Number, // Report time minus capture time
+                    },
+                ],
+                default: [],
+            },
+        },
         // Media files (S3 URLs)
         mediaUrls: {
             type: [String],
@@ -89,13 +233,40 @@ const reportSchema = new mongoose.Schema(
             type: Boolean,
             default: false,
         },
+        // Alias shown instead of the reporter when anonymous
+        reporterPseudonym: {
+            type: String,
+        },
+        // Stable per-report aliases for anonymous participants (reporter and commenters)
+        anonymousParticipants: {
+            type: [
+                {
+                    _id: false,
+                    userId: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: "User",
+                    },
+                    pseudonym: String,
+                },
+            ],
+            default: [],
+            select: false,
+        },
         // Status tracking
         status: {
             type: String,
-            enum: ["reported", "verified", "investigating", "resolved", "invalid", "spam"],
+            enum: ["pending", "reported", "verified", "investigating", "resolved", "invalid", "spam", "archived"],
             default: "reported",
             index: true,
         },
+        // Set while archived (hidden from feeds, still searchable/exportable)
+        archivedAt: {
+            type: Date,
+        },
+        archiveReason: {
+            type: String,
+            maxlength: [400, "Archive reason cannot exceed 400 characters"],
+        },
         resolvedBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "User",
@@ -126,24 +297,127 @@ const reportSchema = new mongoose.Schema(
                 ref: "User",
             },
         },
+        // When the campus confirm/dispute thresholds were first reached
+        voteThresholdsReached: {
+            confirm: {
+                type: Date,
+            },
+            dispute: {
+                type: Date,
+            },
+        },
+        // Reputation-based weight of each vote, keyed by voter ID
+        voteWeights: {
+            type: Map,
+            of: Number,
+            default: {},
+        },
         commentsCount: {
             type: Number,
             default: 0,
         },
+        // Unique views, updated in batches by the view flush job
         viewsCount: {
             type: Number,
             default: 0,
         },
+        // Latest view flush batches applied, so a retried batch is not counted twice
+        viewBatchIds: {
+            type: [String],
+            select: false,
+        },
+        // Users subscribed to updates on this report
+        followers: {
+            type: [mongoose.Schema.Types.ObjectId],
+            default: [],
+            ref: "User",
+            select: false,
+        },
         // Spam tracking
         spamReports: {
             type: [mongoose.Schema.Types.ObjectId],
             default: [],
             ref: "User",
         },
+        // Sum of flaggers' reputation weights
+        spamScore: {
+            type: Number,
+            default: 0,
+        },
         isSpam: {
             type: Boolean,
             default: false,
         },
+        // Moderator review once flags reach the campus threshold
+        spamReview: {
+            status: {
+                type: String,
+                enum: ["none", "pending", "upheld", "dismissed"],
+                default: "none",
+            },
+            flaggedAt: {
+                type: Date,
+            },
+            reviewedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+            reviewedAt: {
+                type: Date,
+            },
+            reason: {
+                type: String,
+                maxlength: [400, "Reason cannot exceed 400 characters"],
+            },
+        },
+        // Reporter appeal against a spam/invalid decision
+        appeal: {
+            status: {
+                type: String,
+                enum: ["none", "pending", "accepted", "rejected"],
+                default: "none",
+            },
+            message: {
+                type: String,
+                maxlength: [1000, "Appeal cannot exceed 1000 characters"],
+            },
+            submittedAt: {
+                type: Date,
+            },
+            reviewedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+            reviewedAt: {
+                type: Date,
+            },
+            reason: {
+                type: String,
+                maxlength: [400, "Reason cannot exceed 400 characters"],
+            },
+        },
+        // Incident clustering - duplicates point at their parent incident
+        parentReportId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Report",
+            default: null,
+            index: true,
+        },
+        duplicateCount: {
+            type: Number,
+            default: 0,
+        },
+        mergedAt: {
+            type: Date,
+        },
+        mergedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        // Set when the reporter withdraws their own report
+        retractedAt: {
+            type: Date,
+        },
         // Edit tracking
         isEdited: {
             type: Boolean,
@@ -152,11 +426,27 @@ const reportSchema = new mongoose.Schema(
         editedAt: {
             type: Date,
         },
+        // One entry per revision; revision N is the state after the Nth entry
         editHistory: {
             type: [
                 {
                     editedAt: Date,
-                    changes: Object,
+                    editedBy: {
+                        type: mongoose.Schema.Types.ObjectId,
+                        ref: "User",
+                    },
+                    // Field-level diff of this revision
+                    diff: [
+                        {
+                            _id: false,
+                            field: String,
+                            before: mongoose.Schema.Types.Mixed,
+                            after: mongoose.Schema.Types.Mixed,
+                        },
+                    ],
+                    // Set when the revision restored an earlier one
+                    revertedTo: Number,
+                    changes: Object, // Legacy entries: post-edit values only
                 },
             ],
             default: [],
@@ -167,19 +457,10 @@ const reportSchema = new mongoose.Schema(
         timestamps: true,
         toJSON: {
             virtuals: true,
-            transform: function (doc, ret) {
-                // Remove sensitive data for non-moderators
-                if (!ret._moderatorView) {
-                    if (doc.isAnonymous) {
-                        delete ret.reporterId;
-                    }
-                    delete ret.moderatorNotes;
-                    delete ret.spamReports;
-                    delete ret.editHistory;
-                }
-                delete ret._moderatorView;
-                return ret;
-            },
+            transform: sanitizeReport,
+        },
+        toObject: {
+            transform: sanitizeReport,
         },
     }
 );
@@ -190,6 +471,17 @@ reportSchema.index({ campusId: 1, category: 1, severity: -1 });
 reportSchema.index({ location: "2dsphere" });
 reportSchema.index({ campusId: 1, location: "2dsphere" });
 reportSchema.index({ reporterId: 1, createdAt: -1 });
+reportSchema.index({ followers: 1 });
+reportSchema.index({ "votes.confirms": 1 });
+reportSchema.index({ "votes.disputes": 1 });
+reportSchema.index({ campusId: 1, "spamReview.status": 1, spamScore: -1 });
+reportSchema.index({ campusId: 1, "appeal.status": 1, "appeal.submittedAt": 1 });
+reportSchema.index({ campusId: 1, "boundaryCheck.isWithinBoundary": 1, createdAt: -1 });
+reportSchema.index({ campusId: 1, "mediaMetadataCheck.mismatch": 1, createdAt: -1 });
+reportSchema.index(
+    { title: "text", description: "text" },
+    { name: "report_text", weights: { title: 3, description: 1 } }
+);
 
 // Virtuals
 reportSchema.virtual("confirmCount").get(function () {
@@ -200,8 +492,19 @@ reportSchema.virtual("disputeCount").get(function () {
     return this.votes.disputes.length;
 });
 
+// Votes are weighted by the voter's reputation at the time of voting
+reportSchema.virtual("confirmWeight").get(function () {
+    const weightOf = (id) => this.voteWeights?.get(id.toString()) ?? 1;
+    return Number(this.votes.confirms.reduce((sum, id) => sum + weightOf(id), 0).toFixed(2));
+});
+
+reportSchema.virtual("disputeWeight").get(function () {
+    const weightOf = (id) => this.voteWeights?.get(id.toString()) ?? 1;
+    return Number(this.votes.disputes.reduce((sum, id) => sum + weightOf(id), 0).toFixed(2));
+});
+
 reportSchema.virtual("netVotes").get(function () {
-    return this.votes.confirms.length - this.votes.disputes.length;
+    return Number((this.confirmWeight - this.disputeWeight).toFixed(2));
 });
 
 reportSchema.virtual("comments", {
@@ -213,7 +516,7 @@ reportSchema.virtual("comments", {
 // Instance methods
 reportSchema.methods.canEdit = function (userId, timeLimit = 30 * 60 * 1000) {
     // Can edit within 30 minutes and not resolved
-    if (this.status !== "reported") return false;
+    if (!["pending", "reported"].includes(this.status)) return false;
     if (!this.reporterId.equals(userId)) return false;
 
     const now = new Date();
@@ -221,7 +524,7 @@ reportSchema.methods.canEdit = function (userId, timeLimit = 30 * 60 * 1000) {
     return timeSinceCreation < timeLimit;
 };
 
-reportSchema.methods.addVote = async function (userId, voteType) {
+reportSchema.methods.addVote = async function (userId, voteType, weight = 1) {
     const userIdStr = userId.toString();
 
     // Remove from opposite vote type
@@ -236,6 +539,7 @@ reportSchema.methods.addVote = async function (userId, voteType) {
             this.votes.disputes.push(userId);
         }
     }
+    this.voteWeights.set(userIdStr, weight);
 
     await this.save();
 };
@@ -243,33 +547,146 @@ reportSchema.methods.addVote = async function (userId, voteType) {
 reportSchema.methods.removeVote = async function (userId) {
     this.votes.confirms = this.votes.confirms.filter(id => !id.equals(userId));
     this.votes.disputes = this.votes.disputes.filter(id => !id.equals(userId));
+    this.voteWeights.delete(userId.toString());
     await this.save();
 };
 
-reportSchema.methods.incrementViews = async function () {
-    this.viewsCount += 1;
-    await this.save();
+reportSchema.methods.applyEdit = function (updates, editorId, { revertedTo } = {}) {
+    // Requires editHistory to be selected; returns the field-level diff (empty if nothing changed)
+    const diff = [];
+
+    for (const field of EDITABLE_FIELDS) {
+        if (updates[field] === undefined) continue;
+
+        const before = getEditableValue(this, field);
+        const after = field === "location" ? [...updates.location.coordinates] : updates[field];
+        if (JSON.stringify(before) === JSON.stringify(after)) continue;
+
+        if (field === "location") {
+            this.location = { type: "Point", coordinates: after };
+        } else {
+            this[field] = after;
+        }
+        diff.push({ field, before, after });
+    }
+
+    if (diff.length === 0) return diff;
+
+    this.isEdited = true;
+    this.editedAt = new Date();
+    this.editHistory.push({
+        editedAt: this.editedAt,
+        editedBy: editorId,
+        diff,
+        ...(revertedTo !== undefined && { revertedTo }),
+    });
+
+    return diff;
+};
+
+reportSchema.methods.getRevision = function (revision) {
+    // Rebuild the editable fields as they were after a revision (0 = as submitted)
+    // by undoing newer diffs. Returns null if the revision can't be reconstructed.
+    if (!Number.isInteger(revision) || revision < 0 || revision > this.editHistory.length) return null;
+
+    const state = {};
+    for (const field of EDITABLE_FIELDS) {
+        state[field] = getEditableValue(this, field);
+    }
+
+    for (let i = this.editHistory.length - 1; i >= revision; i--) {
+        const entry = this.editHistory[i];
+        // Legacy entries don't record previous values
+        if (!entry.diff || entry.diff.length === 0) return null;
+
+        for (const change of entry.diff) {
+            state[change.field] = change.before;
+        }
+    }
+
+    return { ...state, location: { type: "Point", coordinates: state.location } };
+};
+
+reportSchema.methods.getStatusTransition = function (toStatus) {
+    const transitions = STATUS_TRANSITIONS[this.status];
+    return transitions && Object.hasOwn(transitions, toStatus) ? transitions[toStatus] : null;
+};
+
+reportSchema.methods.getAllowedTransitions = function (role) {
+    return Object.entries(STATUS_TRANSITIONS[this.status] || {})
+        .filter(([, transition]) => transition.roles.includes(role))
+        .map(([status]) => status);
+};
+
+reportSchema.methods.closeSpamReview = function (outcome, reviewerId, reason) {
+    this.spamReview.status = outcome;
+    this.spamReview.reviewedBy = reviewerId;
+    this.spamReview.reviewedAt = new Date();
+    this.spamReview.reason = reason;
+    // Dismissed flags stop counting, so only new flags can re-queue the report
+    // (earlier flaggers stay in spamReports and cannot flag it again)
+    if (outcome === "dismissed") this.spamScore = 0;
+};
+
+reportSchema.methods.canAppeal = function (userId) {
+    // Only moderator decisions can be appealed, once
+    return this.reporterId.equals(userId) &&
+        ["spam", "invalid"].includes(this.status) &&
+        !this.retractedAt &&
+        this.appeal?.status === "none";
+};
+
+reportSchema.methods.isVisibleTo = function (user) {
+    // Reports awaiting pre-moderation are hidden from everyone but the reporter and moderators
+    if (this.status !== "pending") return true;
+    return this.reporterId.equals(user._id) || user.canModerate();
+};
+
+reportSchema.methods.getIncidentRollup = async function () {
+    // Aggregate votes, comments and media across the whole incident cluster
+    const parentId = this.parentReportId || this._id;
+    const reports = await this.constructor.find({
+        $or: [{ _id: parentId }, { parentReportId: parentId }],
+    }).select("votes voteWeights commentsCount mediaUrls");
+
+    if (reports.length <= 1) return null;
+
+    // Each voter counts once per incident, with their reputation weight
+    const confirms = new Map();
+    const disputes = new Map();
+    const mediaUrls = new Set();
+    let commentsCount = 0;
+
+    for (const report of reports) {
+        const weightOf = (id) => report.voteWeights?.get(id.toString()) ?? 1;
+        report.votes.confirms.forEach((id) => confirms.set(id.toString(), weightOf(id)));
+        report.votes.disputes.forEach((id) => disputes.set(id.toString(), weightOf(id)));
+        report.mediaUrls.forEach((url) => mediaUrls.add(url));
+        commentsCount += report.commentsCount;
+    }
+
+    return {
+        parentReportId: parentId,
+        reportIds: reports.map((r) => r._id),
+        reportCount: reports.length,
+        confirmCount: confirms.size,
+        disputeCount: disputes.size,
+        netVotes: Number((sumWeights(confirms) - sumWeights(disputes)).toFixed(2)),
+        commentsCount,
+        mediaUrls: [...mediaUrls],
+    };
 };
 
 reportSchema.methods.toModeratorView = function () {
-    const obj = this.toObject({ virtuals: true });
-    obj._moderatorView = true;
-    return obj;
+    // Skip sanitizing so moderators can resolve anonymous reporters
+    return this.toObject({ virtuals: true, transform: false, flattenMaps: true });
 };
 
 // Static methods
-reportSchema.statics.findNearby = function (campusId, longitude, latitude, radiusMeters = 1000, filters = {}) {
+reportSchema.statics.buildFeedQuery = function (campusId, filters = {}) {
     const query = {
         campusId,
-        location: {
-            $near: {
-                $geometry: {
-                    type: "Point",
-                    coordinates: [longitude, latitude],
-                },
-                $maxDistance: radiusMeters,
-            },
-        },
+        parentReportId: null, // Duplicates are represented by their parent incident
     };
 
     // Apply filters
@@ -279,23 +696,266 @@ reportSchema.statics.findNearby = function (campusId, longitude, latitude, radiu
     if (filters.severity) {
         query.severity = { $gte: filters.severity };
     }
-    if (filters.status) {
+    if (filters.viewerId) {
+        Object.assign(query, this.visibilityFilter(filters.viewerId, filters.status));
+    } else if (filters.status) {
         query.status = filters.status;
     } else {
-        // By default, exclude spam and invalid
-        query.status = { $in: ["reported", "verified", "investigating", "resolved"] };
+        // By default, exclude spam, invalid and pending
+        query.status = { $in: FEED_STATUSES };
     }
     if (filters.since) {
         query.createdAt = { $gte: new Date(filters.since) };
     }
 
+    return query;
+};
+
+reportSchema.statics.findNearby = function (campusId, longitude, latitude, radiusMeters = 1000, filters = {}) {
+    const query = {
+        ...this.buildFeedQuery(campusId, filters),
+        location: {
+            $near: {
+                $geometry: {
+                    type: "Point",
+                    coordinates: [longitude, latitude],
+                },
+                $maxDistance: radiusMeters,
+            },
+        },
+    };
+
+    return this.find(query).sort({ createdAt: -1 });
+};
+
+reportSchema.statics.findWithin = function (campusId, geometry, filters = {}) {
+    // Without a geometry the whole campus is searched
+    const query = {
+        ...this.buildFeedQuery(campusId, filters),
+        ...(geometry && { location: { $geoWithin: { $geometry: geometry } } }),
+    };
+
     return this.find(query).sort({ createdAt: -1 });
 };
 
+reportSchema.statics.clusterWithin = function (campusId, geometry, cellSizeDegrees, filters = {}) {
+    // Without a geometry the whole campus is searched
+    const query = {
+        ...this.buildFeedQuery(campusId, filters),
+        ...(geometry && { location: { $geoWithin: { $geometry: geometry } } }),
+    };
+
+    const longitude = { $arrayElemAt: ["$location.coordinates", 0] };
+    const latitude = { $arrayElemAt: ["$location.coordinates", 1] };
+
+    // Snap reports to a grid and aggregate each cell into a single marker
+    return this.aggregate([
+        { $match: query },
+        {
+            $group: {
+                _id: {
+                    x: { $floor: { $divide: [longitude, cellSizeDegrees] } },
+                    y: { $floor: { $divide: [latitude, cellSizeDegrees] } },
+                },
+                count: { $sum: 1 },
+                longitude: { $avg: longitude },
+                latitude: { $avg: latitude },
+                maxSeverity: { $max: "$severity" },
+                categories: { $addToSet: "$category" },
+                reportId: { $first: "$_id" },
+            },
+        },
+        {
+            $project: {
+                _id: 0,
+                count: 1,
+                location: { type: "Point", coordinates: ["$longitude", "$latitude"] },
+                maxSeverity: 1,
+                categories: 1,
+                // Single-report cells can be opened directly
+                reportId: { $cond: [{ $eq: ["$count", 1] }, "$reportId", "$$REMOVE"] },
+            },
+        },
+        { $sort: { count: -1 } },
+    ]);
+};
+
+reportSchema.statics.findPossibleDuplicates = function (campusId, coordinates, category, options = {}) {
+    const { radiusMeters = 200, windowMinutes = 60, excludeId, limit = 5 } = options;
+
+    const query = {
+        campusId,
+        parentReportId: null,
+        category: { $in: RELATED_CATEGORIES[category] || [category] },
+        status: { $in: FEED_STATUSES },
+        createdAt: { $gte: new Date(Date.now() - windowMinutes * 60 * 1000) },
+        location: {
+            $near: {
+                $geometry: { type: "Point", coordinates },
+                $maxDistance: radiusMeters,
+            },
+        },
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    return this.find(query)
+        .select("title category severity status location duplicateCount createdAt")
+        .limit(limit);
+};
+
+reportSchema.statics.refreshDuplicateCount = async function (parentId) {
+    const duplicateCount = await this.countDocuments({ parentReportId: parentId });
+    await this.updateOne({ _id: parentId }, { $set: { duplicateCount } });
+    return duplicateCount;
+};
+
+reportSchema.statics.mergeIntoIncident = async function (parentId, reportIds, actorId) {
+    const ids = reportIds.filter((id) => !parentId.equals(id));
+
+    // Incidents losing reports to this one need their counts refreshed too
+    const previousParents = await this.distinct("parentReportId", {
+        _id: { $in: ids },
+        parentReportId: { $nin: [null, parentId] },
+    });
+
+    // Re-parent the reports along with anything already clustered under them
+    const result = await this.updateMany(
+        {
+            _id: { $ne: parentId },
+            $or: [{ _id: { $in: ids } }, { parentReportId: { $in: ids } }],
+        },
+        {
+            $set: {
+                parentReportId: parentId,
+                duplicateCount: 0,
+                mergedAt: new Date(),
+                mergedBy: actorId,
+            },
+        }
+    );
+
+    for (const previousParentId of [parentId, ...previousParents]) {
+        await this.refreshDuplicateCount(previousParentId);
+    }
+    return result.modifiedCount;
+};
+
+reportSchema.statics.splitFromIncident = async function (parentId, reportIds = []) {
+    const query = { parentReportId: parentId };
+    if (reportIds.length > 0) query._id = { $in: reportIds };
+
+    const result = await this.updateMany(query, {
+        $set: { parentReportId: null },
+        $unset: { mergedAt: 1, mergedBy: 1 },
+    });
+
+    await this.refreshDuplicateCount(parentId);
+    return result.modifiedCount;
+};
+
+reportSchema.statics.promoteIncidentChild = async function (parentId) {
+    // The oldest duplicate still in the feed takes over the incident, so the
+    // other duplicates stay visible when the parent leaves the feed
+    const successor = await this.findOne({ parentReportId: parentId, status: { $in: FEED_STATUSES } })
+        .sort({ createdAt: 1 })
+        .select("_id");
+    if (!successor) return null;
+
+    await this.updateOne(
+        { _id: successor._id },
+        { $set: { parentReportId: null }, $unset: { mergedAt: 1, mergedBy: 1 } }
+    );
+    await this.updateMany({ parentReportId: parentId }, { $set: { parentReportId: successor._id } });
+
+    await this.refreshDuplicateCount(parentId);
+    await this.refreshDuplicateCount(successor._id);
+    return successor._id;
+};
+
+reportSchema.statics.assignPseudonym = async function (reportId, userId) {
+    // Retry on concurrent assignment of the same alias to another participant
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const report = await this.findById(reportId).select("+anonymousParticipants");
+        if (!report) return null;
+
+        const existing = report.anonymousParticipants.find((p) => p.userId.equals(userId));
+        if (existing) return existing.pseudonym;
+
+        const pseudonym = generatePseudonym(reportId, report.anonymousParticipants.map((p) => p.pseudonym));
+
+        const result = await this.updateOne(
+            {
+                _id: reportId,
+                "anonymousParticipants.userId": { $ne: userId },
+                "anonymousParticipants.pseudonym": { $ne: pseudonym },
+            },
+            { $push: { anonymousParticipants: { userId, pseudonym } } }
+        );
+
+        if (result.modifiedCount === 1) return pseudonym;
+    }
+
+    throw new Error("Failed to assign pseudonym");
+};
+
+reportSchema.statics.flagAsSpam = async function (reportId, userId, weight = 1) {
+    // Atomic so the same user can never be counted twice
+    return this.findOneAndUpdate(
+        { _id: reportId, spamReports: { $ne: userId } },
+        { $push: { spamReports: userId }, $inc: { spamScore: weight } },
+        { new: true }
+    );
+};
+
+reportSchema.statics.queueForSpamReview = async function (reportId) {
+    const result = await this.updateOne(
+        { _id: reportId, "spamReview.status": { $in: ["none", "dismissed"] } },
+        { $set: { "spamReview.status": "pending", "spamReview.flaggedAt": new Date() } }
+    );
+    return result.modifiedCount === 1;
+};
+
+reportSchema.statics.markVoteThresholdReached = async function (reportId, voteType) {
+    // Only the first crossing counts, even with concurrent votes
+    const field = `voteThresholdsReached.${voteType}`;
+    const result = await this.updateOne(
+        { _id: reportId, [field]: { $exists: false } },
+        { $set: { [field]: new Date() } }
+    );
+    return result.modifiedCount === 1;
+};
+
+reportSchema.statics.follow = async function (reportId, userId) {
+    await this.updateOne({ _id: reportId }, { $addToSet: { followers: userId } });
+};
+
+reportSchema.statics.unfollow = async function (reportId, userId) {
+    await this.updateOne({ _id: reportId }, { $pull: { followers: userId } });
+};
+
+reportSchema.statics.isFollowing = async function (reportId, userId) {
+    return (await this.exists({ _id: reportId, followers: userId })) !== null;
+};
+
+reportSchema.statics.visibilityFilter = function (viewerId, status) {
+    // Pending reports are only visible to their reporter
+    if (status === "pending") {
+        return { status, reporterId: viewerId };
+    }
+    if (status) {
+        return { status };
+    }
+
+    return {
+        status: { $in: [...FEED_STATUSES, "pending"] },
+        $nor: [{ status: "pending", reporterId: { $ne: viewerId } }],
+    };
+};
+
 reportSchema.statics.getPendingForModeration = function (campusId) {
     return this.find({
         campusId,
-        status: "reported",
+        status: { $in: ["pending", "reported"] },
     })
         .sort({ severity: -1, createdAt: -1 })
         .populate("reporterId", "name email");
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// One document per report and viewer, written in batches by the view flush job
+const reportViewSchema = new mongoose.Schema(
+    {
+        reportId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Report",
+            required: [true, "Report is required"],
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: [true, "User is required"],
+        },
+        // Viewer role at the time of the latest view
+        role: {
+            type: String,
+        },
+        firstViewedAt: {
+            type: Date,
+            required: true,
+        },
+        lastViewedAt: {
+            type: Date,
+            required: true,
+        },
+        // Number of distinct view windows, not raw requests
+        viewCount: {
+            type: Number,
+            default: 0,
+        },
+        // Latest view flush batches applied, so a retried batch is not counted twice
+        viewBatchIds: {
+            type: [String],
+            select: false,
+        },
+    },
+    {
+        timestamps: false,
+    }
+);
+
+// Indexes
+reportViewSchema.index({ reportId: 1, userId: 1 }, { unique: true });
+reportViewSchema.index({ reportId: 1, lastViewedAt: -1 });
+
+// Static methods
+reportViewSchema.statics.getSeenBy = async function (reportId, limit = 100) {
+    const [viewers, roles] = await Promise.all([
+        this.find({ reportId })
+            .sort({ lastViewedAt: -1 })
+            .limit(limit)
+            .populate("userId", "name email role"),
+        this.aggregate([
+            { $match: { reportId: new mongoose.Types.ObjectId(reportId) } },
+            { $group: { _id: "$role", viewers: { $sum: 1 }, views: { $sum: "$viewCount" } } },
+        ]),
+    ]);
+
+    const byRole = Object.fromEntries(roles.map((role) => [role._id || "unknown", { viewers: role.viewers, views: role.views }]));
+
+    return {
+        uniqueViewers: roles.reduce((sum, role) => sum + role.viewers, 0),
+        byRole,
+        viewers,
+    };
+};
+
+const ReportView = mongoose.model("ReportView", reportViewSchema);
+
+export default ReportView;
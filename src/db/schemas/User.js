@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 
+// Largest notification radius a user can choose (meters)
+export const MAX_NOTIFICATION_RADIUS = 5000;
+
 const userSchema = new mongoose.Schema(
     {
         name: {
@@ -26,6 +29,11 @@ const userSchema = new mongoose.Schema(
             trim: true,
             match: [/^\+?[\d\s-()]+$/, "Please provide a valid phone number"],
         },
+        // URL of a profilePicture upload (see MediaAsset.profileId)
+        profilePicture: {
+            type: String,
+            default: null,
+        },
         campusId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "Campus",
@@ -98,6 +106,8 @@ const userSchema = new mongoose.Schema(
             radius: {
                 type: Number,
                 default: 500, // meters
+                min: [1, "Notification radius must be at least 1 meter"],
+                max: [MAX_NOTIFICATION_RADIUS, `Notification radius cannot exceed ${MAX_NOTIFICATION_RADIUS} meters`],
             },
             categories: {
                 type: [String],
@@ -112,6 +122,48 @@ const userSchema = new mongoose.Schema(
                 default: true,
             },
         },
+        // Last known location (reported by the client, used for notification fanout)
+        lastLocation: {
+            type: {
+                type: String,
+                enum: ["Point"],
+            },
+            coordinates: {
+                type: [Number], // [longitude, latitude]
+                default: undefined,
+            },
+        },
+        lastLocationAt: {
+            type: Date,
+        },
+        // Reporter credibility, recalculated from moderation outcomes and vote agreement
+        reputation: {
+            score: {
+                type: Number,
+                default: 50,
+                min: 0,
+                max: 100,
+            },
+            verifiedReports: {
+                type: Number,
+                default: 0,
+            },
+            rejectedReports: {
+                type: Number,
+                default: 0,
+            },
+            agreedVotes: {
+                type: Number,
+                default: 0,
+            },
+            disagreedVotes: {
+                type: Number,
+                default: 0,
+            },
+            updatedAt: {
+                type: Date,
+            },
+        },
         // Privacy settings
         isAnonymousByDefault: {
             type: Boolean,
@@ -136,6 +188,7 @@ const userSchema = new mongoose.Schema(
 // userSchema.index({ email: 1 }, { unique: true }); // Already defined in schema
 userSchema.index({ campusId: 1, role: 1 });
 userSchema.index({ isActive: 1, isBanned: 1 });
+userSchema.index({ lastLocation: "2dsphere" });
 
 // Virtual for user's reports
 userSchema.virtual("reports", {
@@ -168,6 +221,12 @@ userSchema.methods.canAdmin = function () {
     return ["admin", "super-admin"].includes(this.role);
 };
 
+userSchema.methods.getVoteWeight = function () {
+    // Neutral reputation (50) counts as a single vote
+    const score = this.reputation?.score ?? 50;
+    return Math.min(Math.max(score / 50, 0.25), 2);
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -0,0 +1,30 @@
+import env from "../config/env.js";
+import { removeOrphanedMedia } from "../services/mediaService.js";
+
+let cleanupTimer = null;
+
+/**
+ * Periodically delete uploads that were never attached to a report
+ */
+export const initializeMediaCleanupJob = () => {
+    if (cleanupTimer) return cleanupTimer;
+
+    cleanupTimer = setInterval(async () => {
+        try {
+            const removed = await removeOrphanedMedia(env.media.orphanTtlHours);
+            if (removed > 0) console.log(`🧹 Removed ${removed} orphaned upload(s)`);
+        } catch (error) {
+            console.error("❌ Media cleanup failed:", error.message);
+        }
+    }, env.media.cleanupIntervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for the cleanup
+    cleanupTimer.unref();
+
+    console.log("✅ Media cleanup job initialized");
+    return cleanupTimer;
+};
+
+export default {
+    initializeMediaCleanupJob,
+};
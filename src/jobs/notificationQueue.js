@@ -0,0 +1,143 @@
+import Queue from "bull";
+import Report from "../db/schemas/Report.js";
+import User from "../db/schemas/User.js";
+import Notification from "../db/schemas/Notification.js";
+import env from "../config/env.js";
+import { findRecipientsForReport, deliverNotification } from "../services/notificationService.js";
+
+let notificationQueue = null;
+
+const JOB_OPTIONS = {
+    attempts: 3,
+    backoff: { type: "exponential", delay: 5000 },
+    removeOnComplete: true,
+    removeOnFail: 100,
+};
+
+const isQueueReady = () => notificationQueue?.client?.status === "ready";
+
+/**
+ * Create notifications for every matching recipient of a report
+ * Safe to retry: users who were already notified about the report are skipped.
+ * @returns {Promise<Object[]>} Newly created notification documents
+ */
+const createReportNotifications = async (reportId) => {
+    const report = await Report.findById(reportId);
+    if (!report) return [];
+
+    const recipients = await findRecipientsForReport(report);
+    if (recipients.length === 0) return [];
+
+    const alreadyNotified = await Notification.find({ reportId: report._id, type: "new_report" }).distinct("userId");
+    const notifiedIds = new Set(alreadyNotified.map((id) => id.toString()));
+    const pending = recipients.filter((user) => !notifiedIds.has(user._id.toString()));
+
+    if (pending.length === 0) return [];
+
+    const notifications = await Notification.insertMany(
+        pending.map((user) => ({
+            userId: user._id,
+            reportId: report._id,
+            type: "new_report",
+            title: `Safety alert: ${report.category.replace(/_/g, " ")} reported nearby`,
+            message: report.title,
+            data: {
+                category: report.category,
+                severity: report.severity,
+                ...(user.distance !== undefined && { distance: Math.round(user.distance) }),
+            },
+            priority: report.severity >= 5 ? "urgent" : "high",
+        }))
+    );
+
+    console.log(`📢 Created ${notifications.length} notification(s) for report ${report._id}`);
+    return notifications;
+};
+
+/**
+ * Deliver a single stored notification (push + email)
+ */
+const deliverNotificationById = async (notificationId) => {
+    const notification = await Notification.findById(notificationId);
+    if (!notification) return;
+
+    const user = await User.findById(notification.userId).select("name email notificationPreferences");
+    if (!user) return;
+
+    await deliverNotification(notification, user);
+};
+
+/**
+ * Queue delivery for stored notifications
+ * Falls back to in-process delivery when Redis is unavailable.
+ * @param {Object[]} notifications - Notification documents
+ */
+export const queueNotificationDelivery = async (notifications) => {
+    if (notifications.length === 0) return;
+
+    if (isQueueReady()) {
+        await notificationQueue.addBulk(
+            notifications.map((notification) => ({
+                name: "deliver",
+                data: { notificationId: notification._id.toString() },
+                opts: JOB_OPTIONS,
+            }))
+        );
+        return;
+    }
+
+    await Promise.allSettled(notifications.map((notification) => deliverNotificationById(notification._id)));
+};
+
+/**
+ * Queue notification fanout for a newly created report
+ * @param {Object} report - Report document
+ */
+export const queueReportFanout = async (report) => {
+    if (isQueueReady()) {
+        await notificationQueue.add("fanout", { reportId: report._id.toString() }, JOB_OPTIONS);
+        console.log(`📢 Queued notification fanout for report ${report._id}`);
+        return;
+    }
+
+    // Redis unavailable - fan out in-process so alerts still go out
+    console.warn(`⚠️  Notification queue unavailable, delivering report ${report._id} inline`);
+    const notifications = await createReportNotifications(report._id);
+    await queueNotificationDelivery(notifications);
+};
+
+/**
+ * Initialize the Bull notification queue and its processors
+ */
+export const initializeNotificationQueue = () => {
+    if (notificationQueue) return notificationQueue;
+
+    notificationQueue = new Queue("notifications", { redis: env.redis });
+
+    notificationQueue.process("fanout", async (job) => {
+        const notifications = await createReportNotifications(job.data.reportId);
+        await queueNotificationDelivery(notifications);
+        return { created: notifications.length };
+    });
+
+    notificationQueue.process("deliver", 5, async (job) => {
+        await deliverNotificationById(job.data.notificationId);
+    });
+
+    notificationQueue.on("failed", (job, error) => {
+        console.error(`❌ Notification job ${job.name}:${job.id} failed:`, error.message);
+    });
+
+    notificationQueue.on("error", (error) => {
+        console.error("❌ Notification queue error:", error.message);
+    });
+
+    console.log("✅ Notification queue initialized");
+    return notificationQueue;
+};
+
+export default {
+    initializeNotificationQueue,
+    queueReportFanout,
+    queueNotificationDelivery,
+};
@@ -0,0 +1,30 @@
+import env from "../config/env.js";
+import { archiveExpiredReports } from "../services/reportService.js";
+
+let expiryTimer = null;
+
+/**
+ * Periodically archive reports past their campus expiry rules
+ */
+export const initializeReportExpiryJob = () => {
+    if (expiryTimer) return expiryTimer;
+
+    expiryTimer = setInterval(async () => {
+        try {
+            const archived = await archiveExpiredReports();
+            if (archived > 0) console.log(`🗄️  Archived ${archived} expired report(s)`);
+        } catch (error) {
+            console.error("❌ Report expiry check failed:", error.message);
+        }
+    }, env.expiry.checkIntervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for the expiry check
+    expiryTimer.unref();
+
+    console.log("✅ Report expiry job initialized");
+    return expiryTimer;
+};
+
+export default {
+    initializeReportExpiryJob,
+};
@@ -0,0 +1,27 @@
+import env from "../config/env.js";
+import { flushViewBuffer } from "../services/viewService.js";
+
+let flushTimer = null;
+
+/**
+ * Periodically write buffered report views to MongoDB
+ */
+export const initializeViewFlushJob = () => {
+    if (flushTimer) return flushTimer;
+
+    flushTimer = setInterval(() => {
+        flushViewBuffer().catch((error) => {
+            console.error("❌ View flush failed:", error.message);
+        });
+    }, env.views.flushIntervalSeconds * 1000);
+
+    // Don't keep the process alive just to flush views
+    flushTimer.unref();
+
+    console.log("✅ View flush job initialized");
+    return flushTimer;
+};
+
+export default {
+    initializeViewFlushJob,
+};
@@ -1,5 +1,7 @@
 import rateLimit from "express-rate-limit";
 import env from "../config/env.js";
+import Campus from "../db/schemas/Campus.js";
+import { createRedisStore } from "../utils/rateLimitStore.js";
 
 /**
  * General API rate limiter
@@ -25,11 +27,24 @@ export const authLimiter = rateLimit({
 });
 
 /**
- * Report creation rate limiter
+ * Resolve the hourly report quota for the user's campus
+ */
+const getCampusReportQuota = async (req) => {
+    if (env.nodeEnv === "development") return 100; // Higher limit for dev
+
+    const campus = await Campus.findById(req.user.campusId).select("settings.reportsPerHour").lean();
+    return campus?.settings?.reportsPerHour || parseInt(env.rateLimit.reportsPerHour) || 5;
+};
+
+/**
+ * Report creation rate limiter (per user, per campus)
+ * Must run after authenticate. Quota comes from Campus.settings.reportsPerHour.
  */
 export const reportLimiter = rateLimit({
-    windowMs: 60 * 60 * 1000, // 1 hour
-    max: env.nodeEnv === 'development' ? 100 : (parseInt(env.rateLimit.reportsPerHour) || 5), // Higher limit for dev
+    windowMs: 60 * 60 * 1000, // 1 hour, matching the reportsPerHour quota
+    max: getCampusReportQuota,
+    keyGenerator: (req) => `${req.user.campusId}:${req.userId}`,
+    store: createRedisStore("quota:reports:"),
     message: "You have reached the maximum number of reports per hour. Please try again later.",
     standardHeaders: true,
     legacyHeaders: false,
@@ -0,0 +1,34 @@
+import multer from "multer";
+import { UPLOAD_TYPES } from "../services/mediaService.js";
+
+// One parser per upload type, limited to that type's size and file count
+const parsers = Object.fromEntries(
+    Object.entries(UPLOAD_TYPES).map(([uploadType, { maxSize, maxCount }]) => [
+        uploadType,
+        multer({
+            storage: multer.memoryStorage(),
+            limits: { fileSize: maxSize, files: maxCount },
+        }).array("files", maxCount),
+    ])
+);
+
+/**
+ * Parse multipart uploads (field "files") for the :uploadType route param
+ * Files are kept in memory so they can be cleaned before reaching storage.
+ */
+export const parseUpload = (req, res, next) => {
+    const parser = parsers[req.params.uploadType];
+
+    if (!parser) {
+        return res.status(400).json({
+            success: false,
+            message: `Upload type must be one of: ${Object.keys(UPLOAD_TYPES).join(", ")}`,
+        });
+    }
+
+    parser(req, res, next);
+};
+
+export default {
+    parseUpload,
+};
@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { MAX_NOTIFICATION_RADIUS } from "../db/schemas/User.js";
 
 // Register validation
 export const registerSchema = Joi.object({
@@ -82,6 +83,29 @@ export const changePasswordSchema = Joi.object({
     }),
 });
 
+// Profile update validation
+export const updateProfileSchema = Joi.object({
+    name: Joi.string().trim().min(2).max(100).optional().messages({
+        "string.min": "Name must be at least 2 characters",
+        "string.max": "Name cannot exceed 100 characters",
+    }),
+    phone: Joi.string().trim().pattern(/^\+?[\d\s-()]+$/).allow("").optional().messages({
+        "string.pattern.base": "Please provide a valid phone number",
+    }),
+    profilePicture: Joi.string().uri().allow(null).optional(),
+    notificationPreferences: Joi.object({
+        radius: Joi.number().min(1).max(MAX_NOTIFICATION_RADIUS).optional().messages({
+            "number.base": `Notification radius must be between 1 and ${MAX_NOTIFICATION_RADIUS} meters`,
+            "number.min": `Notification radius must be between 1 and ${MAX_NOTIFICATION_RADIUS} meters`,
+            "number.max": `Notification radius must be between 1 and ${MAX_NOTIFICATION_RADIUS} meters`,
+        }),
+        categories: Joi.array().items(Joi.string().trim()).optional(),
+        enablePush: Joi.boolean().optional(),
+        enableEmail: Joi.boolean().optional(),
+    }).optional(),
+    isAnonymousByDefault: Joi.boolean().optional(),
+});
+
 /**
  * Validation middleware factory
  * @param {Joi.Schema} schema - Joi validation schema
@@ -131,5 +155,6 @@ export default {
     resetPasswordSchema,
     verifyEmailSchema,
     changePasswordSchema,
+    updateProfileSchema,
     validate,
 };
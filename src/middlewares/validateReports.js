@@ -20,11 +20,83 @@ export const getNearbySchema = Joi.object({
         "other"
     ).optional(),
     severity: Joi.number().min(1).max(5).optional(),
-    status: Joi.string().valid("reported", "verified", "investigating", "resolved", "invalid", "spam").optional(),
+    status: Joi.string().valid("pending", "reported", "verified", "investigating", "resolved", "invalid", "spam").optional(),
     since: Joi.date().optional(),
     limit: Joi.number().min(1).max(500).default(100),
 });
 
+// Reports within a map viewport validation
+export const getWithinSchema = Joi.object({
+    bbox: Joi.string().pattern(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/).messages({
+        "string.pattern.base": "bbox must be minLon,minLat,maxLon,maxLat",
+    }),
+    polygon: Joi.string().max(20000),
+    zoom: Joi.number().integer().min(0).max(22).optional(),
+    category: Joi.string().valid(
+        "safety",
+        "emergency",
+        "theft",
+        "suspicious",
+        "suspicious_activity",
+        "harassment",
+        "vandalism",
+        "medical",
+        "fire",
+        "hazard",
+        "assault",
+        "other"
+    ).optional(),
+    severity: Joi.number().min(1).max(5).optional(),
+    status: Joi.string().valid("pending", "reported", "verified", "investigating", "resolved", "invalid", "spam").optional(),
+    since: Joi.date().optional(),
+    limit: Joi.number().min(1).max(1000).default(500),
+}).xor("bbox", "polygon");
+
+// Search reports validation
+export const searchReportsSchema = Joi.object({
+    q: Joi.string().trim().min(2).max(200).required(),
+    category: Joi.string().valid(
+        "safety",
+        "emergency",
+        "theft",
+        "suspicious",
+        "suspicious_activity",
+        "harassment",
+        "vandalism",
+        "medical",
+        "fire",
+        "hazard",
+        "assault",
+        "other"
+    ).optional(),
+    severity: Joi.number().min(1).max(5).optional(),
+    status: Joi.string().valid("pending", "reported", "verified", "investigating", "resolved", "invalid", "spam", "archived").optional(),
+    since: Joi.date().optional(),
+    until: Joi.date().optional(),
+    page: Joi.number().min(1).default(1),
+    limit: Joi.number().min(1).max(50).default(20),
+});
+
+// Duplicate check validation
+export const duplicateCheckSchema = Joi.object({
+    lat: Joi.number().min(-90).max(90).required(),
+    lon: Joi.number().min(-180).max(180).required(),
+    category: Joi.string().valid(
+        "safety",
+        "emergency",
+        "theft",
+        "suspicious",
+        "suspicious_activity",
+        "harassment",
+        "vandalism",
+        "medical",
+        "fire",
+        "hazard",
+        "assault",
+        "other"
+    ).required(),
+});
+
 // Create report validation
 export const createReportSchema = Joi.object({
     category: Joi.string()
@@ -58,6 +130,7 @@ export const createReportSchema = Joi.object({
     }).required(),
     mediaUrls: Joi.array().items(Joi.string().uri()).max(10).default([]),
     isAnonymous: Joi.boolean().default(false),
+    incidentId: Joi.string().hex().length(24).optional(),
 });
 
 // Update report validation
@@ -81,6 +154,16 @@ export const updateReportSchema = Joi.object({
         )
         .optional(),
     severity: Joi.number().min(1).max(5).optional(),
+    location: Joi.object({
+        type: Joi.string().valid("Point").default("Point"),
+        coordinates: Joi.array()
+            .length(2)
+            .items(Joi.number())
+            .required()
+            .messages({
+                "array.length": "Coordinates must be [longitude, latitude]",
+            }),
+    }).optional(),
     mediaUrls: Joi.array().items(Joi.string().uri()).max(10).optional(),
 }).min(1); // At least one field must be provided
 
@@ -93,12 +176,88 @@ export const voteSchema = Joi.object({
 export const commentSchema = Joi.object({
     content: Joi.string().trim().min(1).max(500).required(),
     isAnonymous: Joi.boolean().default(false),
+    parentCommentId: Joi.string().hex().length(24).optional(),
+});
+
+// Official update validation
+export const officialUpdateSchema = Joi.object({
+    content: Joi.string().trim().min(1).max(500).required(),
+    isPinned: Joi.boolean().default(true),
+});
+
+// Official update pin validation
+export const pinUpdateSchema = Joi.object({
+    isPinned: Joi.boolean().required(),
+});
+
+// Comment edit validation
+export const commentUpdateSchema = Joi.object({
+    content: Joi.string().trim().min(1).max(500).required(),
+});
+
+// Comment deletion validation (reason required for moderators, checked in controller)
+export const commentDeleteSchema = Joi.object({
+    reason: Joi.string().trim().max(400).allow(""),
+});
+
+// Appeal validation
+export const appealSchema = Joi.object({
+    message: Joi.string().trim().min(1).max(1000).required(),
+});
+
+export const revertReportSchema = Joi.object({
+    revision: Joi.number().integer().min(0).required(),
+    reason: Joi.string().trim().min(1).max(400).required(),
+});
+
+// Moderator status update validation (transition rules are checked in the controller)
+export const updateReportStatusSchema = Joi.object({
+    status: Joi.string()
+        .valid("pending", "reported", "verified", "investigating", "resolved", "invalid", "spam", "archived")
+        .optional(),
+    reason: Joi.string().trim().max(400).allow("").optional(),
+    moderatorNotes: Joi.string().trim().max(1000).allow("").optional(),
+    assignedTo: Joi.string().hex().length(24).optional(),
+}).min(1);
+
+// Spam flag dismissal validation (body is optional)
+export const dismissSpamFlagsSchema = Joi.object({
+    reason: Joi.string().trim().max(400).allow("").optional(),
+}).default({});
+
+// Appeal rejection validation
+export const rejectAppealSchema = Joi.object({
+    reason: Joi.string().trim().min(1).max(400).required(),
+});
+
+// Incident merge validation
+export const mergeReportsSchema = Joi.object({
+    reportIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).required(),
+});
+
+// Incident split validation (all duplicates when reportIds is omitted)
+export const splitReportsSchema = Joi.object({
+    reportIds: Joi.array().items(Joi.string().hex().length(24)).max(100).default([]),
 });
 
 export default {
     getNearbySchema,
+    getWithinSchema,
+    searchReportsSchema,
+    duplicateCheckSchema,
     createReportSchema,
     updateReportSchema,
     voteSchema,
     commentSchema,
+    commentUpdateSchema,
+    commentDeleteSchema,
+    officialUpdateSchema,
+    pinUpdateSchema,
+    appealSchema,
+    revertReportSchema,
+    updateReportStatusSchema,
+    dismissSpamFlagsSchema,
+    rejectAppealSchema,
+    mergeReportsSchema,
+    splitReportsSchema,
 };
@@ -1,6 +1,7 @@
 import express from "express";
 import {
     getAnalytics,
+    getHotspots,
     createCampus,
     getCampuses,
     updateCampus,
@@ -22,6 +23,13 @@ router.use(authenticate, requireRole(["admin", "super-admin"]));
  */
 router.get("/analytics", getAnalytics);
 
+/**
+ * @route   GET /admin/analytics/hotspots
+ * @desc    Get severity-weighted heatmap (GeoJSON) and top hotspots with trend
+ * @access  Admin+
+ */
+router.get("/analytics/hotspots", getHotspots);
+
 /**
  * @route   POST /admin/campuses
  * @desc    Create new campus
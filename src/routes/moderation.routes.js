@@ -3,10 +3,25 @@ import {
     getModerationSummary,
     getModerationReports,
     updateReportStatus,
+    mergeReports,
+    splitReports,
+    getReviewQueue,
+    dismissSpamFlags,
+    rejectAppeal,
+    getReportSeenBy,
     banUser,
+    exportReports,
     getAuditLogs,
 } from "../controllers/moderation.controller.js";
 import { authenticate, requireRole } from "../middlewares/auth.js";
+import { validate } from "../middlewares/validate.js";
+import {
+    updateReportStatusSchema,
+    dismissSpamFlagsSchema,
+    rejectAppealSchema,
+    mergeReportsSchema,
+    splitReportsSchema,
+} from "../middlewares/validateReports.js";
 
 const router = express.Router();
 
@@ -27,12 +42,61 @@ router.get("/summary", getModerationSummary);
  */
 router.get("/reports", getModerationReports);
 
+/**
+ * @route   GET /moderation/reports/export
+ * @desc    Export reports as GeoJSON, CSV or KML
+ * @access  Moderator+
+ */
+router.get("/reports/export", exportReports);
+
 /**
  * @route   PATCH /moderation/reports/:id
  * @desc    Update report status
  * @access  Moderator+
  */
-router.patch("/reports/:id", updateReportStatus);
+router.patch("/reports/:id", validate(updateReportStatusSchema), updateReportStatus);
+
+/**
+ * @route   POST /moderation/reports/:id/merge
+ * @desc    Merge duplicate reports into an incident
+ * @access  Moderator+
+ */
+router.post("/reports/:id/merge", validate(mergeReportsSchema), mergeReports);
+
+/**
+ * @route   POST /moderation/reports/:id/split
+ * @desc    Split reports out of an incident
+ * @access  Moderator+
+ */
+router.post("/reports/:id/split", validate(splitReportsSchema), splitReports);
+
+/**
+ * @route   GET /moderation/review-queue
+ * @desc    Get reports awaiting spam review or with pending appeals
+ * @access  Moderator+
+ */
+router.get("/review-queue", getReviewQueue);
+
+/**
+ * @route   POST /moderation/reports/:id/dismiss-spam
+ * @desc    Dismiss spam flags and keep the report published
+ * @access  Moderator+
+ */
+router.post("/reports/:id/dismiss-spam", validate(dismissSpamFlagsSchema), dismissSpamFlags);
+
+/**
+ * @route   POST /moderation/reports/:id/reject-appeal
+ * @desc    Reject a reporter's appeal
+ * @access  Admin+
+ */
+router.post("/reports/:id/reject-appeal", validate(rejectAppealSchema), rejectAppeal);
+
+/**
+ * @route   GET /moderation/reports/:id/seen-by
+ * @desc    Get who has seen a report (per-role breakdown)
+ * @access  Moderator+
+ */
+router.get("/reports/:id/seen-by", getReportSeenBy);
 
 /**
  * @route   POST /moderation/ban-user
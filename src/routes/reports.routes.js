@@ -1,24 +1,46 @@
 import express from "express";
 import {
     getNearbyReports,
+    getReportsWithin,
     getAllReports,
+    searchReports,
+    getPossibleDuplicates,
     getReportById,
     createReport,
     updateReport,
+    getReportHistory,
+    revertReport,
     deleteReport,
     voteReport,
+    removeVote,
+    followReport,
+    unfollowReport,
     addComment,
+    postOfficialUpdate,
+    pinOfficialUpdate,
     getReportComments,
+    updateComment,
+    deleteComment,
     reportSpam,
+    appealReport,
 } from "../controllers/reports.controller.js";
-import { authenticate, requireVerifiedEmail } from "../middlewares/auth.js";
+import { authenticate, requireRole, requireVerifiedEmail } from "../middlewares/auth.js";
 import { validate } from "../middlewares/validate.js";
 import {
     getNearbySchema,
+    getWithinSchema,
+    searchReportsSchema,
+    duplicateCheckSchema,
     createReportSchema,
     updateReportSchema,
     voteSchema,
     commentSchema,
+    commentUpdateSchema,
+    commentDeleteSchema,
+    officialUpdateSchema,
+    pinUpdateSchema,
+    appealSchema,
+    revertReportSchema,
 } from "../middlewares/validateReports.js";
 import { reportLimiter } from "../middlewares/rateLimiter.js";
 
@@ -38,6 +60,27 @@ router.get("/", authenticate, getAllReports);
  */
 router.get("/nearby", authenticate, validate(getNearbySchema, "query"), getNearbyReports);
 
+/**
+ * @route   GET /reports/within
+ * @desc    Get reports within a bounding box or polygon (clustered at low zoom)
+ * @access  Private
+ */
+router.get("/within", authenticate, validate(getWithinSchema, "query"), getReportsWithin);
+
+/**
+ * @route   GET /reports/search
+ * @desc    Full-text search over reports and comments
+ * @access  Private
+ */
+router.get("/search", authenticate, validate(searchReportsSchema, "query"), searchReports);
+
+/**
+ * @route   GET /reports/duplicates
+ * @desc    Find likely duplicates before submitting a report
+ * @access  Private
+ */
+router.get("/duplicates", authenticate, validate(duplicateCheckSchema, "query"), getPossibleDuplicates);
+
 /**
  * @route   GET /reports/:id
  * @desc    Get single report by ID
@@ -59,6 +102,31 @@ router.post("/", authenticate, requireVerifiedEmail, reportLimiter, validate(cre
  */
 router.patch("/:id", authenticate, validate(updateReportSchema), updateReport);
 
+/**
+ * @route   GET /reports/:id/history
+ * @desc    Get field-level revision history and audit timeline
+ * @access  Moderator+
+ */
+router.get(
+    "/:id/history",
+    authenticate,
+    requireRole(["moderator", "admin", "super-admin"]),
+    getReportHistory
+);
+
+/**
+ * @route   POST /reports/:id/revert
+ * @desc    Revert report to a prior revision
+ * @access  Moderator+
+ */
+router.post(
+    "/:id/revert",
+    authenticate,
+    requireRole(["moderator", "admin", "super-admin"]),
+    validate(revertReportSchema),
+    revertReport
+);
+
 /**
  * @route   DELETE /reports/:id
  * @desc    Delete/retract report
@@ -73,6 +141,27 @@ router.delete("/:id", authenticate, deleteReport);
  */
 router.post("/:id/vote", authenticate, validate(voteSchema), voteReport);
 
+/**
+ * @route   DELETE /reports/:id/vote
+ * @desc    Remove own vote from report
+ * @access  Private
+ */
+router.delete("/:id/vote", authenticate, removeVote);
+
+/**
+ * @route   POST /reports/:id/follow
+ * @desc    Follow report updates
+ * @access  Private
+ */
+router.post("/:id/follow", authenticate, followReport);
+
+/**
+ * @route   DELETE /reports/:id/follow
+ * @desc    Unfollow report updates
+ * @access  Private
+ */
+router.delete("/:id/follow", authenticate, unfollowReport);
+
 /**
  * @route   POST /reports/:id/comment
  * @desc    Add comment to report
@@ -80,6 +169,32 @@ router.post("/:id/vote", authenticate, validate(voteSchema), voteReport);
  */
 router.post("/:id/comment", authenticate, validate(commentSchema), addComment);
 
+/**
+ * @route   POST /reports/:id/updates
+ * @desc    Post an official (pinned) update
+ * @access  Moderator+/Security
+ */
+router.post(
+    "/:id/updates",
+    authenticate,
+    requireRole(["moderator", "admin", "security", "super-admin"]),
+    validate(officialUpdateSchema),
+    postOfficialUpdate
+);
+
+/**
+ * @route   PATCH /reports/:id/updates/:commentId
+ * @desc    Pin or unpin an official update
+ * @access  Moderator+/Security
+ */
+router.patch(
+    "/:id/updates/:commentId",
+    authenticate,
+    requireRole(["moderator", "admin", "security", "super-admin"]),
+    validate(pinUpdateSchema),
+    pinOfficialUpdate
+);
+
 /**
  * @route   GET /reports/:id/comments
  * @desc    Get comments for a report
@@ -87,6 +202,20 @@ router.post("/:id/comment", authenticate, validate(commentSchema), addComment);
  */
 router.get("/:id/comments", authenticate, getReportComments);
 
+/**
+ * @route   PATCH /reports/:id/comments/:commentId
+ * @desc    Edit own comment (within 10 minutes)
+ * @access  Private (Author)
+ */
+router.patch("/:id/comments/:commentId", authenticate, validate(commentUpdateSchema), updateComment);
+
+/**
+ * @route   DELETE /reports/:id/comments/:commentId
+ * @desc    Delete comment (author, or moderator with reason)
+ * @access  Private (Author/Moderator)
+ */
+router.delete("/:id/comments/:commentId", authenticate, validate(commentDeleteSchema), deleteComment);
+
 /**
  * @route   POST /reports/:id/report-spam
  * @desc    Report a report as spam
@@ -94,4 +223,11 @@ router.get("/:id/comments", authenticate, getReportComments);
  */
 router.post("/:id/report-spam", authenticate, reportSpam);
 
+/**
+ * @route   POST /reports/:id/appeal
+ * @desc    Appeal a spam/invalid decision on own report
+ * @access  Private (Reporter)
+ */
+router.post("/:id/appeal", authenticate, validate(appealSchema), appealReport);
+
 export default router;
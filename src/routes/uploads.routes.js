@@ -1,25 +1,63 @@
 import express from "express";
+import path from "path";
 import { createRouteHandler } from "uploadthing/express";
-import { prepareUpload, deleteFile, deleteMultipleFiles, getFileInfo } from "../controllers/uploads.controller.js";
+import {
+    prepareUpload,
+    uploadFiles,
+    deleteFile,
+    deleteMultipleFiles,
+    getFileInfo,
+} from "../controllers/uploads.controller.js";
 import { authenticate } from "../middlewares/auth.js";
+import { parseUpload } from "../middlewares/upload.js";
 import { uploadRouter } from "../config/uploadthing.js";
+import env from "../config/env.js";
+import { MIME_EXTENSIONS } from "../utils/fileType.js";
 
 const router = express.Router();
 
+const MEDIA_EXTENSIONS = new Set(Object.values(MIME_EXTENSIONS));
+
 /**
  * UploadThing route handler
- * This handles the actual file uploads
+ * This handles direct uploads when the UploadThing storage driver is active
  */
-router.use(
-    "/uploadthing",
-    createRouteHandler({
-        router: uploadRouter,
-        config: {
-            // Custom authentication middleware
-            middleware: authenticate,
-        },
-    })
-);
+if (env.storage.driver === "uploadthing") {
+    router.use(
+        "/uploadthing",
+        createRouteHandler({
+            router: uploadRouter,
+            config: {
+                // Custom authentication middleware
+                middleware: authenticate,
+            },
+        })
+    );
+}
+
+/**
+ * @route   GET /uploads/files/:key
+ * @desc    Serve files stored by the local storage driver
+ * @access  Public
+ */
+if (env.storage.driver === "local") {
+    router.use(
+        "/files",
+        express.static(path.resolve(env.storage.local.directory), {
+            index: false,
+            setHeaders: (res, filePath) => {
+                // Media is embedded by the frontend, which runs on another origin
+                res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+                // Never let a browser render a stored file as a page on the API origin
+                res.setHeader("X-Content-Type-Options", "nosniff");
+                res.setHeader(
+                    "Content-Disposition",
+                    MEDIA_EXTENSIONS.has(path.extname(filePath).toLowerCase()) ? "inline" : "attachment"
+                );
+            },
+        })
+    );
+}
 
 /**
  * @route   POST /uploads/prepare
@@ -29,16 +67,23 @@ router.use(
 router.post("/prepare", authenticate, prepareUpload);
 
 /**
- * @route   DELETE /uploads/delete
- * @desc    Delete file from UploadThing
+ * @route   POST /uploads/files/:uploadType
+ * @desc    Upload files through the API (reportImage, reportVideo, profilePicture)
  * @access  Private
  */
+router.post("/files/:uploadType", authenticate, parseUpload, uploadFiles);
+
+/**
+ * @route   DELETE /uploads/delete
+ * @desc    Delete file from storage
+ * @access  Private (Uploader or Moderator+)
+ */
 router.delete("/delete", authenticate, deleteFile);
 
 /**
  * @route   DELETE /uploads/delete-multiple
- * @desc    Delete multiple files from UploadThing
- * @access  Private
+ * @desc    Delete multiple files from storage
+ * @access  Private (Uploader or Moderator+)
  */
 router.delete("/delete-multiple", authenticate, deleteMultipleFiles);
 
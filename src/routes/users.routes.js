@@ -11,7 +11,7 @@ import {
     unregisterDevice,
 } from "../controllers/users.controller.js";
 import { authenticate } from "../middlewares/auth.js";
-import { validate, changePasswordSchema } from "../middlewares/validate.js";
+import { validate, changePasswordSchema, updateProfileSchema } from "../middlewares/validate.js";
 
 const router = express.Router();
 
@@ -27,7 +27,7 @@ router.get("/:id", authenticate, getUserProfile);
  * @desc    Update user profile
  * @access  Private (own profile only)
  */
-router.patch("/:id", authenticate, updateUserProfile);
+router.patch("/:id", authenticate, validate(updateProfileSchema), updateUserProfile);
 
 /**
  * @route   POST /users/:id/change-password
@@ -0,0 +1,129 @@
+import mongoose from "mongoose";
+import Report, { FEED_STATUSES } from "../db/schemas/Report.js";
+
+// Approximate length of one degree of latitude in meters
+const METERS_PER_DEGREE = 111320;
+// Relative change (in weight) below which a hotspot counts as stable
+const STABLE_TREND_THRESHOLD = 0.1;
+
+/**
+ * Describe how a cell changed compared to the previous period
+ */
+const getTrend = (weight, previousWeight) => {
+    if (previousWeight === 0) {
+        return { trend: weight > 0 ? "new" : "stable", changePercent: null };
+    }
+
+    const change = (weight - previousWeight) / previousWeight;
+    let trend = "stable";
+    if (change > STABLE_TREND_THRESHOLD) trend = "rising";
+    else if (change < -STABLE_TREND_THRESHOLD) trend = "falling";
+
+    return { trend, changePercent: Number((change * 100).toFixed(1)) };
+};
+
+/**
+ * Bucket reports into grid cells weighted by severity
+ * Cells are square in degrees, so they get narrower east-west away from the equator.
+ * The previous period has the same length and ends where the current one starts.
+ * @param {Object} options
+ * @param {string} [options.campusId] - Campus to analyse (all campuses if omitted)
+ * @param {string[]} [options.categories] - Categories to include
+ * @param {Date} options.startDate - Start of the current period
+ * @param {Date} options.endDate - End of the current period
+ * @param {number} options.cellSizeMeters - Grid cell size
+ * @param {number} options.top - Number of hotspots to rank
+ * @returns {Promise<{heatmap: Object, hotspots: Object[], period: Object}>} GeoJSON heatmap and ranked hotspots
+ */
+export const computeHotspots = async ({ campusId, categories, startDate, endDate, cellSizeMeters, top }) => {
+    const periodLength = endDate.getTime() - startDate.getTime();
+    const previousStart = new Date(startDate.getTime() - periodLength);
+    const cellSize = cellSizeMeters / METERS_PER_DEGREE;
+
+    // Aggregation pipelines are not cast by Mongoose
+    const match = {
+        // Archived reports expired from the feed but still happened
+        status: { $in: [...FEED_STATUSES, "archived"] },
+        parentReportId: null, // Count incidents, not every duplicate
+        createdAt: { $gte: previousStart, $lte: endDate },
+    };
+    if (campusId) match.campusId = new mongoose.Types.ObjectId(campusId);
+    if (categories?.length) match.category = { $in: categories };
+
+    const isCurrent = { $gte: ["$createdAt", startDate] };
+
+    const cells = await Report.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    x: { $floor: { $divide: [{ $arrayElemAt: ["$location.coordinates", 0] }, cellSize] } },
+                    y: { $floor: { $divide: [{ $arrayElemAt: ["$location.coordinates", 1] }, cellSize] } },
+                },
+                count: { $sum: { $cond: [isCurrent, 1, 0] } },
+                weight: { $sum: { $cond: [isCurrent, "$severity", 0] } },
+                previousCount: { $sum: { $cond: [isCurrent, 0, 1] } },
+                previousWeight: { $sum: { $cond: [isCurrent, 0, "$severity"] } },
+                maxSeverity: { $max: { $cond: [isCurrent, "$severity", null] } },
+                categories: { $addToSet: { $cond: [isCurrent, "$category", "$$REMOVE"] } },
+            },
+        },
+    ]);
+
+    const cellData = cells.map((cell) => {
+        const minLon = cell._id.x * cellSize;
+        const minLat = cell._id.y * cellSize;
+
+        return {
+            center: [minLon + cellSize / 2, minLat + cellSize / 2],
+            bounds: [minLon, minLat, minLon + cellSize, minLat + cellSize],
+            count: cell.count,
+            weight: cell.weight,
+            previousCount: cell.previousCount,
+            previousWeight: cell.previousWeight,
+            maxSeverity: cell.maxSeverity,
+            categories: cell.categories,
+        };
+    });
+
+    const currentCells = cellData.filter((cell) => cell.count > 0);
+    const maxWeight = currentCells.reduce((max, cell) => Math.max(max, cell.weight), 0);
+
+    const heatmap = {
+        type: "FeatureCollection",
+        features: currentCells.map((cell) => ({
+            type: "Feature",
+            geometry: { type: "Point", coordinates: cell.center },
+            properties: {
+                count: cell.count,
+                weight: cell.weight,
+                intensity: maxWeight > 0 ? Number((cell.weight / maxWeight).toFixed(3)) : 0,
+                maxSeverity: cell.maxSeverity,
+                categories: cell.categories,
+            },
+        })),
+    };
+
+    const hotspots = currentCells
+        .sort((a, b) => b.weight - a.weight || b.count - a.count)
+        .slice(0, top)
+        .map((cell, index) => ({
+            rank: index + 1,
+            ...cell,
+            ...getTrend(cell.weight, cell.previousWeight),
+        }));
+
+    return {
+        heatmap,
+        hotspots,
+        period: {
+            current: { start: startDate, end: endDate },
+            previous: { start: previousStart, end: startDate },
+            cellSizeMeters,
+        },
+    };
+};
+
+export default {
+    computeHotspots,
+};
@@ -0,0 +1,143 @@
+/**
+ * Report Export Service
+ * Serializers for streaming report exports (GeoJSON, CSV, KML)
+ */
+
+const CSV_COLUMNS = [
+    "id",
+    "title",
+    "description",
+    "category",
+    "severity",
+    "status",
+    "longitude",
+    "latitude",
+    "reporter",
+    "isAnonymous",
+    "confirmCount",
+    "disputeCount",
+    "commentsCount",
+    "duplicateCount",
+    "createdAt",
+    "resolvedAt",
+];
+
+/**
+ * Flatten a report into export fields
+ * Expects the public (sanitized) report object, so anonymous reporters
+ * only appear under their pseudonym.
+ */
+const toExportRecord = (report) => {
+    const [longitude, latitude] = report.location.coordinates;
+    const reporter = report.isAnonymous
+        ? report.reporterPseudonym || "Anonymous"
+        : report.reporterId?.name || "";
+
+    return {
+        id: report._id.toString(),
+        title: report.title,
+        description: report.description,
+        category: report.category,
+        severity: report.severity,
+        status: report.status,
+        longitude,
+        latitude,
+        reporter,
+        isAnonymous: report.isAnonymous,
+        confirmCount: report.confirmCount,
+        disputeCount: report.disputeCount,
+        commentsCount: report.commentsCount,
+        duplicateCount: report.duplicateCount,
+        createdAt: report.createdAt?.toISOString(),
+        resolvedAt: report.resolvedAt ? report.resolvedAt.toISOString() : "",
+    };
+};
+
+const escapeCsv = (value) => {
+    if (value === undefined || value === null) return "";
+
+    let text = String(value);
+    // Prevent formula injection when opened in spreadsheet software
+    if (/^[=+\-@\t\r]/.test(text) && typeof value === "string") text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeXml = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+
+const EXPORT_FORMATS = {
+    geojson: {
+        contentType: "application/geo+json",
+        extension: "geojson",
+        header: () => '{"type":"FeatureCollection","features":[\n',
+        row: (record, index) => {
+            const { longitude, latitude, ...properties } = record;
+            const feature = {
+                type: "Feature",
+                geometry: { type: "Point", coordinates: [longitude, latitude] },
+                properties,
+            };
+            return `${index > 0 ? ",\n" : ""}${JSON.stringify(feature)}`;
+        },
+        footer: () => "\n]}\n",
+    },
+    csv: {
+        contentType: "text/csv; charset=utf-8",
+        extension: "csv",
+        header: () => `${CSV_COLUMNS.join(",")}\r\n`,
+        row: (record) => `${CSV_COLUMNS.map((column) => escapeCsv(record[column])).join(",")}\r\n`,
+        footer: () => "",
+    },
+    kml: {
+        contentType: "application/vnd.google-earth.kml+xml",
+        extension: "kml",
+        header: () =>
+            '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n<name>Reports</name>\n',
+        row: (record) => {
+            const { longitude, latitude, title, description, ...properties } = record;
+            const data = Object.entries(properties)
+                .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+                .join("");
+
+            return (
+                "<Placemark>" +
+                `<name>${escapeXml(title)}</name>` +
+                `<description>${escapeXml(description)}</description>` +
+                `<ExtendedData>${data}</ExtendedData>` +
+                `<Point><coordinates>${longitude},${latitude}</coordinates></Point>` +
+                "</Placemark>\n"
+            );
+        },
+        footer: () => "</Document>\n</kml>\n",
+    },
+};
+
+export const SUPPORTED_EXPORT_FORMATS = Object.keys(EXPORT_FORMATS);
+
+/**
+ * Get the serializer for an export format
+ * @param {string} format - geojson, csv or kml
+ * @returns {{contentType: string, extension: string, header: Function, row: Function, footer: Function}|null}
+ */
+export const getExportFormat = (format) => {
+    // Own keys only, so "constructor" and friends are rejected
+    if (typeof format !== "string" || !Object.hasOwn(EXPORT_FORMATS, format)) return null;
+    const exporter = EXPORT_FORMATS[format];
+
+    return {
+        ...exporter,
+        row: (report, index) => exporter.row(toExportRecord(report), index),
+    };
+};
+
+export default {
+    SUPPORTED_EXPORT_FORMATS,
+    getExportFormat,
+};
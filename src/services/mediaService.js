@@ -0,0 +1,319 @@
+import MediaAsset from "../db/schemas/MediaAsset.js";
+import Report from "../db/schemas/Report.js";
+import User from "../db/schemas/User.js";
+import env from "../config/env.js";
+import { emitModeratorAction } from "./socketService.js";
+import { getStorage } from "./storage/index.js";
+import { extractImageMetadata, stripImageMetadata } from "../utils/imageMetadata.js";
+import { distanceInMeters } from "../utils/geo.js";
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const IMAGE_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/gif", "image/webp"];
+// Report photos must be cleaned of metadata, which is only supported for these formats
+const REPORT_IMAGE_TYPES = ["image/jpeg", "image/jpg", "image/png", "image/webp"];
+const VIDEO_TYPES = ["video/mp4", "video/quicktime", "video/webm"];
+
+// Limits per upload route (the UploadThing router mirrors these)
+export const UPLOAD_TYPES = {
+    reportImage: { maxSize: 4 * 1024 * 1024, maxCount: 5, mimeTypes: REPORT_IMAGE_TYPES },
+    reportVideo: { maxSize: 32 * 1024 * 1024, maxCount: 1, mimeTypes: VIDEO_TYPES },
+    profilePicture: { maxSize: 2 * 1024 * 1024, maxCount: 1, mimeTypes: IMAGE_TYPES },
+};
+
+/**
+ * Read GPS/capture time from a photo, then remove its metadata
+ * Throws for formats that cannot be cleaned (e.g. HEIC), so they are never stored as-is.
+ * @param {Buffer} original - Image file contents
+ * @returns {{buffer: Buffer, stripped: boolean, embeddedMetadata: Object|null}}
+ */
+const sanitizeImage = (original) => {
+    const { hasExif, latitude, longitude, takenAt } = extractImageMetadata(original);
+    const { buffer, stripped, supported } = stripImageMetadata(original);
+
+    if (!supported) {
+        throw new Error("Unsupported image format: report photos must be JPEG, PNG or WebP");
+    }
+
+    return { buffer, stripped, embeddedMetadata: hasExif ? { latitude, longitude, takenAt } : null };
+};
+
+/**
+ * Replace a photo uploaded directly to storage with a copy without EXIF/XMP metadata
+ * GPS position and capture time are read first so they can be checked
+ * against the report. If cleaning fails the original is deleted, so a
+ * photo that may reveal the reporter's location is never kept.
+ * @param {Object} file - Uploaded file
+ * @returns {Promise<{file: Object, embeddedMetadata: Object|null}>} Stored (clean) file and extracted metadata
+ */
+export const stripReportImage = async (file) => {
+    const storage = await getStorage();
+
+    try {
+        const { buffer, stripped, embeddedMetadata } = sanitizeImage(await storage.get(file.key));
+        // Nothing to remove - the original is already clean
+        if (!stripped) return { file, embeddedMetadata };
+
+        const stored = await storage.put({ buffer, name: file.name, contentType: file.type });
+        await storage.delete([file.key]);
+
+        return { file: { ...stored, name: file.name, type: file.type }, embeddedMetadata };
+    } catch (error) {
+        await storage.delete([file.key]).catch(() => {});
+        throw error;
+    }
+};
+
+/**
+ * Record a completed upload
+ * Uploads stay unattached until a report or the uploader's profile references them.
+ * @param {string} uploadType - Upload route (reportImage, reportVideo, profilePicture)
+ * @param {Object} metadata - Uploader userId and campusId
+ * @param {Object} file - Stored file
+ * @param {Object} [sanitized] - Set for report images once the stored file has been cleaned
+ * @param {boolean} [sanitized.metadataStripped] - Whether the stored file is free of metadata
+ * @param {Object} [sanitized.embeddedMetadata] - GPS/capture time read before stripping
+ * @returns {Promise<Object>} MediaAsset document
+ */
+export const recordUpload = async (
+    uploadType,
+    metadata,
+    file,
+    { metadataStripped = false, embeddedMetadata = null } = {}
+) => {
+    return MediaAsset.create({
+        uploaderId: metadata.userId,
+        campusId: metadata.campusId,
+        storageDriver: env.storage.driver,
+        key: file.key,
+        url: file.ufsUrl || file.url,
+        name: file.name,
+        size: file.size,
+        mimeType: file.type,
+        uploadType,
+        metadataStripped,
+        ...(embeddedMetadata && { embeddedMetadata }),
+    });
+};
+
+/**
+ * Store a file received by the API (s3/local drivers, or server-side uploads)
+ * Report photos are cleaned before they are written, so the original never reaches storage.
+ * @param {string} uploadType - Upload route (reportImage, reportVideo, profilePicture)
+ * @param {Object} user - Uploading user
+ * @param {{buffer: Buffer, name: string, contentType: string}} file - Received file
+ * @returns {Promise<Object>} MediaAsset document
+ */
+export const storeUpload = async (uploadType, user, { buffer, name, contentType }) => {
+    let contents = buffer;
+    let sanitized = {};
+
+    if (uploadType === "reportImage") {
+        const { buffer: cleaned, embeddedMetadata } = sanitizeImage(buffer);
+        contents = cleaned;
+        sanitized = { metadataStripped: true, embeddedMetadata };
+    }
+
+    const storage = await getStorage();
+    const stored = await storage.put({ buffer: contents, name, contentType });
+
+    try {
+        return await recordUpload(
+            uploadType,
+            { userId: user._id, campusId: user.campusId },
+            { ...stored, name, type: contentType },
+            sanitized
+        );
+    } catch (error) {
+        // Don't leave an untracked file behind
+        await storage.delete([stored.key]).catch(() => {});
+        throw error;
+    }
+};
+
+/**
+ * Compare photo GPS/capture times with a report and flag mismatches for moderators
+ * Only photos not compared yet are checked; their raw coordinates are then discarded.
+ * @param {Object} report - Report document
+ * @returns {Promise<Object[]>} New mismatch findings
+ */
+export const checkReportMediaMetadata = async (report) => {
+    const assets = await MediaAsset.find({
+        reportId: report._id,
+        uploadType: "reportImage",
+        embeddedMetadata: { $exists: true },
+        "embeddedMetadata.comparedAt": null,
+    }).select("+embeddedMetadata.latitude +embeddedMetadata.longitude");
+
+    if (assets.length === 0) return [];
+
+    const maxMinutes = env.media.timestampMismatchHours * 60;
+    const findings = [];
+
+    for (const asset of assets) {
+        const { latitude, longitude, takenAt } = asset.embeddedMetadata;
+        const reasons = [];
+
+        const distance = latitude != null && longitude != null
+            ? Math.round(distanceInMeters(report.location.coordinates, [longitude, latitude]))
+            : null;
+        if (distance !== null && distance > env.media.gpsMismatchMeters) reasons.push("location_mismatch");
+
+        const timeDifference = takenAt ? Math.round((report.createdAt - takenAt) / 60000) : null;
+        if (timeDifference !== null && Math.abs(timeDifference) > maxMinutes) reasons.push("timestamp_mismatch");
+
+        if (reasons.length > 0) {
+            findings.push({
+                assetId: asset._id,
+                url: asset.url,
+                reasons,
+                distanceMeters: distance,
+                timeDifferenceMinutes: timeDifference,
+            });
+        }
+    }
+
+    await MediaAsset.updateMany(
+        { _id: { $in: assets.map((asset) => asset._id) } },
+        {
+            $set: { "embeddedMetadata.comparedAt": new Date() },
+            $unset: { "embeddedMetadata.latitude": "", "embeddedMetadata.longitude": "" },
+        }
+    );
+
+    if (findings.length > 0) {
+        await Report.updateOne(
+            { _id: report._id },
+            {
+                $set: { "mediaMetadataCheck.mismatch": true, "mediaMetadataCheck.checkedAt": new Date() },
+                $push: { "mediaMetadataCheck.findings": { $each: findings } },
+            }
+        );
+
+        emitModeratorAction(report.campusId, {
+            action: "report_metadata_mismatch",
+            reportId: report._id,
+        });
+    }
+
+    return findings;
+};
+
+/**
+ * Link a report's uploads to it, following its current mediaUrls
+ * Newly referenced files are claimed; removed ones are released for the orphan cleanup.
+ * @param {Object} report - Report document
+ */
+export const syncReportMedia = async (report) => {
+    await MediaAsset.detachFromReport(report._id, report.mediaUrls);
+    await MediaAsset.attachToReport(report._id, report.reporterId, report.mediaUrls);
+};
+
+/**
+ * Set a user's profile picture and release the previous one for the orphan cleanup
+ * @param {Object} user - User document (saved by the caller)
+ * @param {string|null} url - URL of one of the user's profilePicture uploads, or null to remove it
+ * @returns {Promise<boolean>} False if the URL is not one of the user's profile picture uploads
+ */
+export const setProfilePicture = async (user, url) => {
+    if (url && !(await MediaAsset.attachToProfile(user._id, url))) return false;
+
+    await MediaAsset.detachFromProfile(user._id, url);
+    user.profilePicture = url || null;
+    return true;
+};
+
+/**
+ * Find media URLs that can't be put back on a report because their file is gone
+ * @param {string[]} urls - Media URLs to restore
+ * @returns {Promise<string[]>} URLs without a stored file
+ */
+export const findUnavailableMedia = async (urls) => {
+    if (urls.length === 0) return [];
+    return MediaAsset.findMissingUrls(urls);
+};
+
+/**
+ * Delete files from storage by key
+ * @param {string[]} keys - File keys
+ * @param {string} [driver] - Storage driver holding the files (defaults to the current one)
+ */
+export const deleteStoredFiles = async (keys, driver) => {
+    if (keys.length === 0) return;
+
+    const storage = await getStorage(driver);
+    await storage.delete(keys);
+};
+
+/**
+ * Delete assets from storage and remove their records
+ * Attached report media is also removed from the report's mediaUrls, and a
+ * deleted profile picture is cleared from its profile.
+ * @param {Object[]} assets - MediaAsset documents
+ */
+export const deleteMediaAssets = async (assets) => {
+    if (assets.length === 0) return;
+
+    // Assets keep the driver they were stored with, even after STORAGE_DRIVER changes
+    const keysByDriver = new Map();
+    for (const asset of assets) {
+        const driver = asset.storageDriver || "uploadthing";
+        if (!keysByDriver.has(driver)) keysByDriver.set(driver, []);
+        keysByDriver.get(driver).push(asset.key);
+    }
+    for (const [driver, keys] of keysByDriver) {
+        await deleteStoredFiles(keys, driver);
+    }
+
+    // Reports may link the file through another URL for the same key
+    const attached = assets.filter((asset) => asset.reportId);
+    if (attached.length > 0) {
+        await Report.bulkWrite(
+            attached.map((asset) => ({
+                updateOne: {
+                    filter: { _id: asset.reportId },
+                    update: { $pull: { mediaUrls: { $regex: `/${escapeRegex(asset.key)}$` } } },
+                },
+            }))
+        );
+    }
+
+    const profiles = assets.filter((asset) => asset.profileId);
+    if (profiles.length > 0) {
+        await User.bulkWrite(
+            profiles.map((asset) => ({
+                updateOne: {
+                    filter: { _id: asset.profileId },
+                    update: { $set: { profilePicture: null } },
+                },
+            }))
+        );
+    }
+
+    await MediaAsset.deleteMany({ _id: { $in: assets.map((asset) => asset._id) } });
+};
+
+/**
+ * Remove uploads that were never attached to a report or profile
+ * @param {number} olderThanHours - Grace period for the uploader to submit the report
+ * @returns {Promise<number>} Number of assets removed
+ */
+export const removeOrphanedMedia = async (olderThanHours) => {
+    const orphaned = await MediaAsset.findOrphaned(olderThanHours);
+    await deleteMediaAssets(orphaned);
+    return orphaned.length;
+};
+
+export default {
+    UPLOAD_TYPES,
+    stripReportImage,
+    recordUpload,
+    storeUpload,
+    checkReportMediaMetadata,
+    syncReportMedia,
+    setProfilePicture,
+    findUnavailableMedia,
+    deleteStoredFiles,
+    deleteMediaAssets,
+    removeOrphanedMedia,
+};
@@ -0,0 +1,110 @@
+import User, { MAX_NOTIFICATION_RADIUS } from "../db/schemas/User.js";
+import env from "../config/env.js";
+import { sendPushToUser } from "./pushService.js";
+import { sendNotificationEmail } from "./emailService.js";
+import { emitUserNotification } from "./socketService.js";
+
+const RECIPIENT_FIELDS = { name: 1, email: 1, notificationPreferences: 1 };
+
+/**
+ * Find users who should be alerted about a report
+ * Users with a known location are matched against their own radius preference;
+ * users who never shared a location fall back to campus-wide delivery.
+ * @param {Object} report - Report document
+ * @returns {Promise<Object[]>} Matching users (lean)
+ */
+export const findRecipientsForReport = async (report) => {
+    const defaultRadius = Math.min(env.notifications.defaultRadius, MAX_NOTIFICATION_RADIUS);
+
+    const baseQuery = {
+        campusId: report.campusId,
+        _id: { $ne: report.reporterId },
+        isActive: true,
+        isBanned: false,
+        "notificationPreferences.categories": report.category,
+        $or: [
+            { "notificationPreferences.enablePush": true },
+            { "notificationPreferences.enableEmail": true },
+        ],
+    };
+
+    const [nearbyUsers, unlocatedUsers] = await Promise.all([
+        User.aggregate([
+            {
+                $geoNear: {
+                    near: { type: "Point", coordinates: report.location.coordinates },
+                    key: "lastLocation",
+                    distanceField: "distance",
+                    // Upper bound for the geo lookup; individual radius preferences are applied below
+                    maxDistance: MAX_NOTIFICATION_RADIUS,
+                    query: baseQuery,
+                    spherical: true,
+                },
+            },
+            {
+                $match: {
+                    $expr: {
+                        $lte: ["$distance", { $ifNull: ["$notificationPreferences.radius", defaultRadius] }],
+                    },
+                },
+            },
+            { $project: { ...RECIPIENT_FIELDS, distance: 1 } },
+        ]),
+        User.find({ ...baseQuery, "lastLocation.coordinates": { $exists: false } })
+            .select(RECIPIENT_FIELDS)
+            .lean(),
+    ]);
+
+    return [...nearbyUsers, ...unlocatedUsers];
+};
+
+/**
+ * Deliver a stored notification through the user's enabled channels
+ * @param {Object} notification - Notification document
+ * @param {Object} user - Recipient (needs name, email and notificationPreferences)
+ */
+export const deliverNotification = async (notification, user) => {
+    const preferences = user.notificationPreferences || {};
+
+    // In-app delivery for connected clients
+    emitUserNotification(user._id, notification);
+
+    if (preferences.enablePush !== false && !notification.isPushed) {
+        const pushed = await sendPushToUser(user._id, {
+            title: notification.title,
+            body: notification.message,
+            data: {
+                notificationId: notification._id,
+                type: notification.type,
+                ...(notification.reportId && { reportId: notification.reportId }),
+            },
+        });
+
+        if (pushed) {
+            await notification.markAsPushed();
+        }
+    }
+
+    if (preferences.enableEmail !== false && user.email && !notification.isEmailed) {
+        const reportLink = notification.reportId
+            ? `${env.frontendUrl}/reports/${notification.reportId}`
+            : undefined;
+
+        const emailed = await sendNotificationEmail(
+            user.email,
+            user.name,
+            notification.title,
+            notification.message,
+            reportLink
+        );
+
+        if (emailed) {
+            await notification.markAsEmailed();
+        }
+    }
+};
+
+export default {
+    findRecipientsForReport,
+    deliverNotification,
+};
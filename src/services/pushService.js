@@ -0,0 +1,126 @@
+import { readFileSync } from "fs";
+import jwt from "jsonwebtoken";
+import Device from "../db/schemas/Device.js";
+import env from "../config/env.js";
+
+const FCM_SCOPE = "https://www.googleapis.com/auth/firebase.messaging";
+
+let serviceAccount;
+let cachedToken = null;
+
+/**
+ * Load the Firebase service account (null when push is not configured)
+ */
+const loadServiceAccount = () => {
+    if (serviceAccount !== undefined) return serviceAccount;
+
+    try {
+        serviceAccount = JSON.parse(readFileSync(env.fcm.serviceAccountPath, "utf8"));
+    } catch (error) {
+        console.warn("⚠️  FCM service account not found. Push notifications will be disabled.");
+        serviceAccount = null;
+    }
+
+    return serviceAccount;
+};
+
+/**
+ * Exchange a signed service account assertion for an OAuth access token
+ */
+const getAccessToken = async (account) => {
+    if (cachedToken && cachedToken.expiresAt > Date.now() + 60 * 1000) {
+        return cachedToken.value;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+        {
+            iss: account.client_email,
+            scope: FCM_SCOPE,
+            aud: account.token_uri,
+            iat: now,
+            exp: now + 3600,
+        },
+        account.private_key,
+        { algorithm: "RS256" }
+    );
+
+    const response = await fetch(account.token_uri, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+            grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+            assertion,
+        }),
+    });
+
+    if (!response.ok) {
+        throw new Error(`FCM auth failed with status ${response.status}`);
+    }
+
+    const { access_token, expires_in } = await response.json();
+    cachedToken = { value: access_token, expiresAt: Date.now() + expires_in * 1000 };
+    return access_token;
+};
+
+/**
+ * Send a push notification to every active device of a user
+ * @param {string} userId - Recipient user ID
+ * @param {{title: string, body: string, data?: Object}} payload - Notification content
+ * @returns {Promise<boolean>} True if at least one device accepted the message
+ */
+export const sendPushToUser = async (userId, { title, body, data = {} }) => {
+    try {
+        const account = loadServiceAccount();
+        if (!account) return false;
+
+        const devices = await Device.findActiveByUser(userId);
+        if (devices.length === 0) return false;
+
+        const accessToken = await getAccessToken(account);
+        const endpoint = `https://fcm.googleapis.com/v1/projects/${account.project_id}/messages:send`;
+
+        // FCM data payload values must be strings
+        const stringData = Object.fromEntries(
+            Object.entries(data).map(([key, value]) => [key, String(value)])
+        );
+
+        let delivered = false;
+
+        for (const device of devices) {
+            const response = await fetch(endpoint, {
+                method: "POST",
+                headers: {
+                    Authorization: `Bearer ${accessToken}`,
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({
+                    message: {
+                        token: device.token,
+                        notification: { title, body },
+                        data: stringData,
+                    },
+                }),
+            });
+
+            if (response.ok) {
+                delivered = true;
+                await device.updateLastUsed();
+            } else if (response.status === 404 || response.status === 400) {
+                // Token is unregistered or invalid - stop sending to it
+                await device.deactivate();
+            } else {
+                console.error(`❌ Push to device ${device._id} failed with status ${response.status}`);
+            }
+        }
+
+        return delivered;
+    } catch (error) {
+        console.error(`❌ Failed to send push to user ${userId}:`, error.message);
+        return false;
+    }
+};
+
+export default {
+    sendPushToUser,
+};
@@ -0,0 +1,237 @@
+import Report, { FEED_STATUSES } from "../db/schemas/Report.js";
+import Campus from "../db/schemas/Campus.js";
+import User from "../db/schemas/User.js";
+import Notification from "../db/schemas/Notification.js";
+import AuditLog from "../db/schemas/AuditLog.js";
+import env from "../config/env.js";
+import { emitNewReport, emitReportUpdate } from "./socketService.js";
+import { queueReportFanout, queueNotificationDelivery } from "../jobs/notificationQueue.js";
+
+// Maximum reports archived per campus rule in one run
+const EXPIRY_BATCH_SIZE = 500;
+
+/**
+ * Publish a report to its campus
+ * Broadcasts it in real time and queues alerts for high severity reports.
+ * Duplicates attached to an incident only bump the parent's count.
+ * @param {Object} report - Report document
+ */
+export const publishReport = async (report) => {
+    if (report.parentReportId) {
+        const duplicateCount = await Report.refreshDuplicateCount(report.parentReportId);
+        emitReportUpdate(report.campusId, report.parentReportId, { duplicateCount });
+        return;
+    }
+
+    emitNewReport(report.campusId, report);
+
+    // Queue notification fanout for high severity reports (non-blocking)
+    if (report.severity >= env.notifications.minSeverityForPush) {
+        queueReportFanout(report).catch((err) =>
+            console.error(`Failed to queue notifications for report ${report._id}:`, err.message)
+        );
+    }
+};
+
+/**
+ * Hand an incident over to one of its duplicates when the parent leaves the feed
+ * (retracted, invalidated, marked spam or archived)
+ * @param {Object} report - Report document with its new status
+ * @returns {Promise<Object|null>} ID of the promoted report, if any
+ */
+export const releaseIncident = async (report) => {
+    if (report.parentReportId || FEED_STATUSES.includes(report.status)) return null;
+
+    const successorId = await Report.promoteIncidentChild(report._id);
+    if (successorId) {
+        const duplicateCount = await Report.countDocuments({ parentReportId: successorId });
+        emitReportUpdate(report.campusId, successorId, { parentReportId: null, duplicateCount });
+    }
+
+    return successorId;
+};
+
+/**
+ * Notify everyone following a report
+ * @param {Object} report - Report document
+ * @param {Object} notification - type, title, message, data and priority
+ * @param {Array} excludeUserIds - Users who should not be notified (e.g. the actor)
+ * @returns {Promise<number>} Number of notifications created
+ */
+export const notifyFollowers = async (report, { type, title, message, data = {}, priority = "medium" }, excludeUserIds = []) => {
+    const { followers = [] } = (await Report.findById(report._id).select("+followers").lean()) || {};
+    const excluded = new Set(excludeUserIds.filter(Boolean).map((id) => id.toString()));
+    const recipients = followers.filter((userId) => !excluded.has(userId.toString()));
+
+    if (recipients.length === 0) return 0;
+
+    const notifications = await Notification.insertMany(
+        recipients.map((userId) => ({
+            userId,
+            reportId: report._id,
+            type,
+            title,
+            message,
+            data,
+            priority,
+        }))
+    );
+
+    queueNotificationDelivery(notifications).catch((err) =>
+        console.error(`Failed to deliver follower notifications for report ${report._id}:`, err.message)
+    );
+
+    return notifications.length;
+};
+
+/**
+ * Notify the reporter and campus moderators when a report's reputation-weighted
+ * confirm/dispute total first reaches the campus vote threshold
+ * @param {Object} report - Report document with current votes
+ * @returns {Promise<string[]>} Vote types whose threshold was crossed by this call
+ */
+export const checkVoteThresholds = async (report) => {
+    const campus = await Campus.findById(report.campusId).select("settings.voteThresholds");
+    const thresholds = {
+        confirm: campus?.settings?.voteThresholds?.confirm ?? 5,
+        dispute: campus?.settings?.voteThresholds?.dispute ?? 5,
+    };
+    const weights = { confirm: report.confirmWeight, dispute: report.disputeWeight };
+    const counts = { confirm: report.confirmCount, dispute: report.disputeCount };
+
+    const crossed = [];
+    for (const voteType of ["confirm", "dispute"]) {
+        if (weights[voteType] >= thresholds[voteType] && await Report.markVoteThresholdReached(report._id, voteType)) {
+            crossed.push(voteType);
+        }
+    }
+
+    if (crossed.length === 0) return crossed;
+
+    const moderators = await User.find({
+        campusId: report.campusId,
+        role: { $in: ["moderator", "admin"] },
+        isActive: true,
+        isBanned: false,
+    }).distinct("_id");
+
+    const recipients = new Map([[report.reporterId.toString(), report.reporterId]]);
+    moderators.forEach((id) => recipients.set(id.toString(), id));
+
+    const notifications = await Notification.insertMany(
+        crossed.flatMap((voteType) => {
+            const label = voteType === "confirm" ? "confirmed" : "disputed";
+            return [...recipients.values()].map((userId) => ({
+                userId,
+                reportId: report._id,
+                type: "vote_threshold",
+                title: `Report ${label} by ${counts[voteType]} users`,
+                message: `"${report.title}" has been ${label} by ${counts[voteType]} users`,
+                data: { voteType, count: counts[voteType], weight: weights[voteType], threshold: thresholds[voteType] },
+                priority: voteType === "dispute" ? "medium" : "low",
+            }));
+        })
+    );
+
+    queueNotificationDelivery(notifications).catch((err) =>
+        console.error(`Failed to deliver vote threshold notifications for report ${report._id}:`, err.message)
+    );
+
+    return crossed;
+};
+
+/**
+ * Archive reported items that outlived their campus expiry rule
+ * Each report is archived with a status guard, so concurrent runs
+ * never archive (or notify about) the same report twice.
+ * @returns {Promise<number>} Number of reports archived
+ */
+export const archiveExpiredReports = async () => {
+    // Campuses saved before expiry rules existed get the defaults on load
+    const campuses = await Campus.find({ isActive: true }).select("settings.expiryRules");
+
+    let archived = 0;
+
+    for (const campus of campuses) {
+        for (const rule of campus.settings.expiryRules) {
+            const query = {
+                campusId: campus._id,
+                category: rule.category,
+                status: "reported",
+                createdAt: { $lt: new Date(Date.now() - rule.afterHours * 60 * 60 * 1000) },
+            };
+            if (rule.onlyUnconfirmed) query["votes.confirms.0"] = { $exists: false };
+
+            let candidates = await Report.find(query).select("_id").limit(EXPIRY_BATCH_SIZE).lean();
+
+            // Confirmations on an incident's duplicates count for the incident
+            if (rule.onlyUnconfirmed && candidates.length > 0) {
+                const confirmedIncidents = await Report.distinct("parentReportId", {
+                    parentReportId: { $in: candidates.map(({ _id }) => _id) },
+                    "votes.confirms.0": { $exists: true },
+                });
+                const confirmed = new Set(confirmedIncidents.map((id) => id.toString()));
+                candidates = candidates.filter(({ _id }) => !confirmed.has(_id.toString()));
+            }
+            const reason = rule.onlyUnconfirmed
+                ? `No confirmations within ${rule.afterHours} hours`
+                : `Expired after ${rule.afterHours} hours`;
+
+            const expired = [];
+            for (const { _id } of candidates) {
+                const report = await Report.findOneAndUpdate(
+                    { ...query, _id },
+                    { $set: { status: "archived", archivedAt: new Date(), archiveReason: reason } },
+                    { new: true }
+                );
+                if (report) {
+                    await releaseIncident(report);
+                    await AuditLog.logAction({
+                        actorId: null,
+                        action: "archive_report",
+                        entityType: "report",
+                        entityId: report._id,
+                        payload: { reason, rule: { category: rule.category, afterHours: rule.afterHours } },
+                        changes: { before: { status: "reported" }, after: { status: "archived" } },
+                        metadata: { system: "report_expiry" },
+                    });
+                    expired.push(report);
+                }
+            }
+
+            if (expired.length === 0) continue;
+            archived += expired.length;
+
+            // Remove from live maps
+            expired.forEach((report) =>
+                emitReportUpdate(report.campusId, report._id, { status: "archived", archivedAt: report.archivedAt })
+            );
+
+            const notifications = await Notification.insertMany(
+                expired.map((report) => ({
+                    userId: report.reporterId,
+                    reportId: report._id,
+                    type: "report_update",
+                    title: "Your report has been archived",
+                    message: `"${report.title}" was archived: ${reason}`,
+                    data: { status: "archived", previousStatus: "reported" },
+                    priority: "low",
+                }))
+            );
+
+            queueNotificationDelivery(notifications).catch((err) =>
+                console.error("Failed to deliver archive notifications:", err.message)
+            );
+        }
+    }
+
+    return archived;
+};
+
+export default {
+    publishReport,
+    releaseIncident,
+    notifyFollowers,
+    checkVoteThresholds,
+    archiveExpiredReports,
+};
@@ -0,0 +1,120 @@
+import Report from "../db/schemas/Report.js";
+import User from "../db/schemas/User.js";
+
+// Moderation outcomes that confirm or reject a report
+const ACCURATE_STATUSES = ["verified", "investigating", "resolved"];
+const REJECTED_STATUSES = ["invalid", "spam"];
+// Reports marked as spam count this many times as rejected
+const SPAM_PENALTY = 2;
+// Share of the score coming from own reports (the rest comes from vote agreement)
+const REPORT_SHARE = 0.7;
+
+/**
+ * Laplace-smoothed ratio, so users without history start at 0.5
+ */
+const smoothedRatio = (good, bad) => (good + 1) / (good + bad + 2);
+
+/**
+ * Recalculate a user's reputation from their moderated reports and votes
+ * A vote agrees with moderators when it confirmed an accurate report
+ * or disputed a rejected one.
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated reputation, or null if the user doesn't exist
+ */
+export const recalculateReputation = async (userId) => {
+    const user = await User.findById(userId).select("_id");
+    if (!user) return null;
+
+    const [[reports], [votes]] = await Promise.all([
+        Report.aggregate([
+            // Reports withdrawn by the reporter are not held against them
+            { $match: { reporterId: user._id, retractedAt: { $exists: false } } },
+            {
+                $group: {
+                    _id: null,
+                    verified: { $sum: { $cond: [{ $in: ["$status", ACCURATE_STATUSES] }, 1, 0] } },
+                    rejected: {
+                        $sum: {
+                            $switch: {
+                                branches: [
+                                    { case: { $eq: ["$status", "spam"] }, then: SPAM_PENALTY },
+                                    { case: { $in: ["$status", REJECTED_STATUSES] }, then: 1 },
+                                ],
+                                default: 0,
+                            },
+                        },
+                    },
+                },
+            },
+        ]),
+        Report.aggregate([
+            {
+                $match: {
+                    $or: [{ "votes.confirms": user._id }, { "votes.disputes": user._id }],
+                    reporterId: { $ne: user._id },
+                    status: { $in: [...ACCURATE_STATUSES, ...REJECTED_STATUSES] },
+                },
+            },
+            {
+                $project: {
+                    agreed: {
+                        $eq: [
+                            { $in: [user._id, "$votes.confirms"] },
+                            { $in: ["$status", ACCURATE_STATUSES] },
+                        ],
+                    },
+                },
+            },
+            {
+                $group: {
+                    _id: null,
+                    agreed: { $sum: { $cond: ["$agreed", 1, 0] } },
+                    disagreed: { $sum: { $cond: ["$agreed", 0, 1] } },
+                },
+            },
+        ]),
+    ]);
+
+    const verifiedReports = reports?.verified || 0;
+    const rejectedReports = reports?.rejected || 0;
+    const agreedVotes = votes?.agreed || 0;
+    const disagreedVotes = votes?.disagreed || 0;
+
+    const score =
+        REPORT_SHARE * smoothedRatio(verifiedReports, rejectedReports) +
+        (1 - REPORT_SHARE) * smoothedRatio(agreedVotes, disagreedVotes);
+
+    const reputation = {
+        score: Math.round(score * 100),
+        verifiedReports,
+        rejectedReports,
+        agreedVotes,
+        disagreedVotes,
+        updatedAt: new Date(),
+    };
+
+    await User.updateOne({ _id: user._id }, { $set: { reputation } });
+    return reputation;
+};
+
+/**
+ * Recalculate reputation for everyone affected by a report's outcome
+ * (the reporter and every voter)
+ * @param {Object} report - Report document
+ */
+export const refreshReputationForReport = async (report) => {
+    const userIds = new Set([
+        report.reporterId.toString(),
+        ...report.votes.confirms.map((id) => id.toString()),
+        ...report.votes.disputes.map((id) => id.toString()),
+    ]);
+
+    for (const userId of userIds) {
+        await recalculateReputation(userId);
+    }
+};
+
+export default {
+    recalculateReputation,
+    refreshReputationForReport,
+};
@@ -0,0 +1,132 @@
+import Report from "../db/schemas/Report.js";
+import Comment from "../db/schemas/Comment.js";
+
+// Comment matches count less than matches in the report itself
+const COMMENT_SCORE_WEIGHT = 0.5;
+// Score added for moderator note matches (regex based, no text score)
+const NOTES_MATCH_SCORE = 1;
+// Upper bound of candidates considered per source before ranking
+const MAX_CANDIDATES = 500;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Build the campus/filter query shared by every search source
+ */
+const buildBaseQuery = (user, filters) => {
+    const query = { campusId: user.campusId };
+
+    if (filters.category) query.category = filters.category;
+    if (filters.severity) query.severity = { $gte: parseInt(filters.severity) };
+    if (filters.since || filters.until) {
+        query.createdAt = {};
+        if (filters.since) query.createdAt.$gte = new Date(filters.since);
+        if (filters.until) query.createdAt.$lte = new Date(filters.until);
+    }
+
+    if (user.canModerate()) {
+        if (filters.status) query.status = filters.status;
+    } else {
+        // Pending reports are only visible to their reporter
+        Object.assign(query, Report.visibilityFilter(user._id, filters.status));
+    }
+
+    return query;
+};
+
+/**
+ * Full-text search over reports and their comments
+ * Moderators additionally match moderator notes.
+ * @param {string} q - Search terms
+ * @param {Object} user - Requesting user
+ * @param {Object} filters - category, severity, status, since, until
+ * @param {{limit: number, page: number}} options - Pagination
+ * @returns {Promise<{results: Object[], total: number}>} Ranked results
+ */
+export const runReportSearch = async (q, user, filters = {}, { limit = 20, page = 1 } = {}) => {
+    const canModerate = user.canModerate();
+    const baseQuery = buildBaseQuery(user, filters);
+
+    const [reportMatches, commentMatches, noteMatches] = await Promise.all([
+        Report.find({ ...baseQuery, $text: { $search: q } }, { score: { $meta: "textScore" } })
+            .sort({ score: { $meta: "textScore" } })
+            .limit(MAX_CANDIDATES)
+            .lean(),
+        Comment.aggregate([
+            { $match: { $text: { $search: q }, isDeleted: false } },
+            { $addFields: { score: { $meta: "textScore" } } },
+            { $group: { _id: "$reportId", score: { $max: "$score" }, count: { $sum: 1 } } },
+            // Comments are not campus scoped - keep only reports that pass the filters
+            // before limiting, so other campuses can't crowd out local matches
+            {
+                $lookup: {
+                    from: Report.collection.name,
+                    let: { reportId: "$_id" },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ["$_id", "$$reportId"] }, ...baseQuery } },
+                        { $project: { _id: 1 } },
+                    ],
+                    as: "report",
+                },
+            },
+            { $match: { "report.0": { $exists: true } } },
+            { $sort: { score: -1 } },
+            { $limit: MAX_CANDIDATES },
+            { $project: { report: 0 } },
+        ]),
+        canModerate
+            ? Report.find({ ...baseQuery, moderatorNotes: { $regex: escapeRegex(q), $options: "i" } })
+                .select("_id")
+                .limit(MAX_CANDIDATES)
+                .lean()
+            : [],
+    ]);
+
+    const scores = new Map();
+    const entryFor = (id) => {
+        const key = id.toString();
+        if (!scores.has(key)) {
+            scores.set(key, { reportId: id, relevance: 0, matchedComments: 0, matchedModeratorNotes: false });
+        }
+        return scores.get(key);
+    };
+
+    for (const match of reportMatches) {
+        entryFor(match._id).relevance += match.score;
+    }
+    for (const match of commentMatches) {
+        const entry = entryFor(match._id);
+        entry.relevance += match.score * COMMENT_SCORE_WEIGHT;
+        entry.matchedComments = match.count;
+    }
+    for (const match of noteMatches) {
+        const entry = entryFor(match._id);
+        entry.relevance += NOTES_MATCH_SCORE;
+        entry.matchedModeratorNotes = true;
+    }
+
+    const ranked = [...scores.values()].sort((a, b) => b.relevance - a.relevance);
+    const pageEntries = ranked.slice((page - 1) * limit, page * limit);
+
+    let reportsQuery = Report.find({ _id: { $in: pageEntries.map((e) => e.reportId) } })
+        .populate("reporterId", "name")
+        .populate("resolvedBy", "name");
+    if (canModerate) reportsQuery = reportsQuery.select("+moderatorNotes");
+
+    const reports = await reportsQuery;
+    const reportsById = new Map(reports.map((r) => [r._id.toString(), r]));
+
+    const results = pageEntries
+        .filter((entry) => reportsById.has(entry.reportId.toString()))
+        .map((entry) => ({
+            ...entry,
+            relevance: Number(entry.relevance.toFixed(3)),
+            report: reportsById.get(entry.reportId.toString()),
+        }));
+
+    return { results, total: ranked.length };
+};
+
+export default {
+    runReportSearch,
+};
@@ -49,6 +49,9 @@ export const initializeSocket = (httpServer) => {
         socket.join(campusRoom);
         console.log(`User ${socket.userId} joined room: ${campusRoom}`);
 
+        // Join personal room (for direct notifications)
+        socket.join(`user:${socket.userId}`);
+
         // Join role-specific room (for moderators/admins)
         if (["moderator", "admin", "super-admin"].includes(socket.role)) {
             const roleRoom = `${socket.role}:${socket.campusId}`;
@@ -61,6 +64,19 @@ export const initializeSocket = (httpServer) => {
             const { latitude, longitude } = data;
             // Store location in socket for proximity-based notifications
             socket.location = { latitude, longitude };
+
+            // Persist last known location for notification fanout
+            if (typeof latitude === "number" && typeof longitude === "number") {
+                User.updateOne(
+                    { _id: socket.userId },
+                    {
+                        $set: {
+                            lastLocation: { type: "Point", coordinates: [longitude, latitude] },
+                            lastLocationAt: new Date(),
+                        },
+                    }
+                ).catch((error) => console.error("Failed to persist user location:", error.message));
+            }
             console.log(`📍 Location updated for ${socket.userId}: ${latitude}, ${longitude}`);
         });
 
@@ -181,6 +197,68 @@ export const emitNewComment = (reportId, comment) => {
     console.log(`📢 Emitted new comment to report:${reportId}`);
 };
 
+/**
+ * Emit official update to the whole campus and report watchers
+ */
+export const emitOfficialUpdate = (campusId, reportId, comment) => {
+    if (!io) return;
+
+    const payload = {
+        type: "official_update",
+        reportId,
+        data: comment,
+        timestamp: new Date(),
+    };
+
+    io.to(`campus:${campusId}`).emit("official_update", payload);
+    io.to(`report:${reportId}`).emit("official_update", payload);
+
+    console.log(`📢 Emitted official update for report ${reportId} to campus:${campusId}`);
+};
+
+/**
+ * Emit edited comment to report watchers
+ */
+export const emitCommentUpdate = (reportId, comment) => {
+    if (!io) return;
+
+    io.to(`report:${reportId}`).emit("comment_update", {
+        type: "comment_update",
+        reportId,
+        data: comment,
+        timestamp: new Date(),
+    });
+};
+
+/**
+ * Emit comment deletion to report watchers
+ */
+export const emitCommentDeleted = (reportId, commentId, commentsCount) => {
+    if (!io) return;
+
+    io.to(`report:${reportId}`).emit("comment_deleted", {
+        type: "comment_deleted",
+        reportId,
+        data: { commentId, commentsCount },
+        timestamp: new Date(),
+    });
+};
+
+/**
+ * Emit notification to a single user
+ */
+export const emitUserNotification = (userId, notification) => {
+    if (!io) return false;
+
+    io.to(`user:${userId}`).emit("notification", {
+        type: "notification",
+        data: notification,
+        timestamp: new Date(),
+    });
+
+    return true;
+};
+
 /**
  * Emit system alert to campus
  */
@@ -203,5 +281,9 @@ export default {
     emitReportUpdate,
     emitModeratorAction,
     emitNewComment,
+    emitOfficialUpdate,
+    emitCommentUpdate,
+    emitCommentDeleted,
+    emitUserNotification,
     emitSystemAlert,
 };
@@ -0,0 +1,39 @@
+import env from "../../config/env.js";
+
+// Drivers are loaded on first use, so unused SDKs are never initialized
+const DRIVER_LOADERS = {
+    uploadthing: async () => (await import("./uploadthingDriver.js")).createUploadthingDriver(),
+    s3: async () => (await import("./s3Driver.js")).createS3Driver(),
+    local: async () => (await import("./localDriver.js")).createLocalDriver(),
+};
+
+export const STORAGE_DRIVERS = Object.keys(DRIVER_LOADERS);
+
+const drivers = new Map();
+
+/**
+ * Get a storage driver
+ * Every driver exposes put({buffer, name, contentType}) -> {key, url, size},
+ * get(key) -> Buffer, delete(keys) and getFileInfo(key) -> {key, url}.
+ * @param {string} [name] - Driver name (defaults to STORAGE_DRIVER)
+ * @returns {Promise<Object>} Storage driver
+ */
+export const getStorage = (name = env.storage.driver) => {
+    if (!DRIVER_LOADERS[name]) {
+        return Promise.reject(new Error(`Unknown storage driver "${name}" (expected ${STORAGE_DRIVERS.join(", ")})`));
+    }
+
+    if (!drivers.has(name)) {
+        const driver = DRIVER_LOADERS[name]().catch((error) => {
+            drivers.delete(name);
+            throw error;
+        });
+        drivers.set(name, driver);
+    }
+    return drivers.get(name);
+};
+
+export default {
+    STORAGE_DRIVERS,
+    getStorage,
+};
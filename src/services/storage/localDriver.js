@@ -0,0 +1,61 @@
+import { randomUUID } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+import env from "../../config/env.js";
+import { getExtension } from "../../utils/fileType.js";
+
+// Keys are generated here, so anything else (e.g. "../") is rejected
+const KEY_PATTERN = /^[0-9a-f-]{36}(\.[a-z0-9]{1,10})?$/;
+
+/**
+ * Local filesystem storage driver
+ * For on-prem deployments and offline development. Files are served
+ * by the uploads router from LOCAL_STORAGE_PUBLIC_URL.
+ */
+export const createLocalDriver = () => {
+    const directory = path.resolve(env.storage.local.directory);
+
+    const resolveKey = (key) => {
+        if (!KEY_PATTERN.test(key)) throw new Error(`Invalid file key: ${key}`);
+        return path.join(directory, key);
+    };
+
+    return {
+        name: "local",
+        directory,
+
+        async put({ buffer, contentType }) {
+            // The extension decides how the file is served, so never take it from the client's file name
+            const extension = getExtension(contentType);
+            if (!extension) throw new Error(`Unsupported content type: ${contentType}`);
+            const key = `${randomUUID()}${extension}`;
+
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(resolveKey(key), buffer);
+
+            return { key, url: `${env.storage.local.publicUrl}/${key}`, size: buffer.length };
+        },
+
+        async get(key) {
+            return fs.readFile(resolveKey(key));
+        },
+
+        async delete(keys) {
+            await Promise.all(
+                keys.map((key) =>
+                    fs.unlink(resolveKey(key)).catch((error) => {
+                        // Already gone
+                        if (error.code !== "ENOENT") throw error;
+                    })
+                )
+            );
+        },
+
+        async getFileInfo(key) {
+            resolveKey(key);
+            return { key, url: `${env.storage.local.publicUrl}/${key}` };
+        },
+    };
+};
+
+export default createLocalDriver;
@@ -0,0 +1,63 @@
+import { randomUUID } from "crypto";
+import AWS from "aws-sdk";
+import env from "../../config/env.js";
+import { getExtension } from "../../utils/fileType.js";
+
+// S3 DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Ceph...)
+ * Objects are uploaded without an ACL, so files are served from S3_PUBLIC_URL
+ * (a public bucket policy, CDN or proxy in front of the bucket).
+ */
+export const createS3Driver = () => {
+    const { bucket, endpoint, publicUrl, forcePathStyle } = env.storage.s3;
+    if (!publicUrl) {
+        throw new Error("S3_PUBLIC_URL is required for the s3 storage driver");
+    }
+
+    const s3 = new AWS.S3({
+        accessKeyId: env.aws.accessKeyId,
+        secretAccessKey: env.aws.secretAccessKey,
+        region: env.aws.region,
+        ...(endpoint && { endpoint }),
+        s3ForcePathStyle: forcePathStyle,
+    });
+
+    return {
+        name: "s3",
+
+        async put({ buffer, contentType }) {
+            const extension = getExtension(contentType);
+            if (!extension) throw new Error(`Unsupported content type: ${contentType}`);
+            const key = `${randomUUID()}${extension}`;
+
+            await s3.upload({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }).promise();
+
+            return { key, url: `${publicUrl}/${key}`, size: buffer.length };
+        },
+
+        async get(key) {
+            const object = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+            return object.Body;
+        },
+
+        async delete(keys) {
+            for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+                await s3
+                    .deleteObjects({
+                        Bucket: bucket,
+                        Delete: { Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map((Key) => ({ Key })) },
+                    })
+                    .promise();
+            }
+        },
+
+        async getFileInfo(key) {
+            return { key, url: `${publicUrl}/${key}` };
+        },
+    };
+};
+
+export default createS3Driver;
@@ -0,0 +1,46 @@
+import { UTApi } from "uploadthing/server";
+import env from "../../config/env.js";
+
+/**
+ * UploadThing storage driver
+ * Clients normally upload directly through the UploadThing route handler;
+ * put() is used for server-side uploads.
+ */
+export const createUploadthingDriver = () => {
+    const utapi = new UTApi({
+        apiKey: env.uploadthing?.apiKey,
+    });
+
+    return {
+        name: "uploadthing",
+
+        async put({ buffer, name, contentType }) {
+            const { data, error } = await utapi.uploadFiles(new File([buffer], name, { type: contentType }));
+            if (error) throw new Error(error.message);
+
+            return { key: data.key, url: data.ufsUrl || data.url, size: data.size };
+        },
+
+        async get(key) {
+            const { url } = await this.getFileInfo(key);
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to download ${key} (HTTP ${response.status})`);
+            }
+
+            return Buffer.from(await response.arrayBuffer());
+        },
+
+        async delete(keys) {
+            if (keys.length === 0) return;
+            await utapi.deleteFiles(keys);
+        },
+
+        async getFileInfo(key) {
+            const { data } = await utapi.getFileUrls(key);
+            return { key, url: data[0]?.url };
+        },
+    };
+};
+
+export default createUploadthingDriver;
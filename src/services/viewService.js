@@ -0,0 +1,236 @@
+import { randomUUID } from "crypto";
+import Report from "../db/schemas/Report.js";
+import ReportView from "../db/schemas/ReportView.js";
+import env from "../config/env.js";
+import { getRedisClient, isRedisReady } from "../config/redis.js";
+
+const SEEN_KEY_PREFIX = "views:seen:";
+const BUFFER_KEY = "views:buffer";
+// Batch IDs remembered per document; a retry older than this many flushes could count twice
+const APPLIED_BATCHES_KEPT = 20;
+
+// Per-process fallback while Redis is unavailable
+const memorySeen = new Map();
+const memoryBuffer = [];
+let isFlushing = false;
+
+const getWindowMs = () => env.views.uniqueWindowMinutes * 60 * 1000;
+
+/**
+ * Claim the view window for a user, returns false if they already viewed within it
+ */
+const claimViewWindow = async (key) => {
+    if (isRedisReady()) {
+        const result = await getRedisClient().set(`${SEEN_KEY_PREFIX}${key}`, "1", "PX", getWindowMs(), "NX");
+        return result === "OK";
+    }
+
+    const now = Date.now();
+    if (memorySeen.get(key) > now) return false;
+
+    memorySeen.set(key, now + getWindowMs());
+    return true;
+};
+
+/**
+ * Record a report view
+ * Repeated views by the same user within the window are ignored. Counted views
+ * are buffered (Redis, or memory while Redis is down) until the next flush.
+ * @param {Object} report - Report document
+ * @param {Object} user - Viewing user
+ * @returns {Promise<boolean>} Whether the view was counted
+ */
+export const recordView = async (report, user) => {
+    const reportId = report._id.toString();
+    const userId = user._id.toString();
+
+    const isNew = await claimViewWindow(`${reportId}:${userId}`);
+    if (!isNew) return false;
+
+    const event = { reportId, userId, role: user.role, viewedAt: Date.now() };
+
+    if (isRedisReady()) {
+        await getRedisClient().rpush(BUFFER_KEY, JSON.stringify(event));
+    } else {
+        memoryBuffer.push(event);
+    }
+
+    return true;
+};
+
+/**
+ * Take every buffered view event, leaving the buffers empty
+ */
+const drainBuffers = async () => {
+    const events = [];
+
+    if (isRedisReady()) {
+        // One transaction, so views recorded during the flush go to a fresh buffer and
+        // concurrent flushes never see the same events. RENAME fails when the buffer is
+        // empty (or another instance took it); LRANGE then simply returns nothing.
+        const flushKey = `${BUFFER_KEY}:flushing:${process.pid}:${Date.now()}`;
+        const results = await getRedisClient()
+            .multi()
+            .rename(BUFFER_KEY, flushKey)
+            .lrange(flushKey, 0, -1)
+            .del(flushKey)
+            .exec();
+
+        const [, raw] = results[1];
+        events.push(...(raw || []).map((entry) => JSON.parse(entry)));
+    }
+
+    // Taken last, so a Redis failure above leaves them buffered
+    events.push(...memoryBuffer.splice(0, memoryBuffer.length));
+    return events;
+};
+
+/**
+ * Put events back for the next flush, in Redis when possible so a restart doesn't lose them
+ */
+const requeueEvents = async (events) => {
+    if (events.length === 0) return;
+
+    if (isRedisReady()) {
+        try {
+            await getRedisClient().rpush(BUFFER_KEY, ...events.map((event) => JSON.stringify(event)));
+            return;
+        } catch (error) {
+            console.error("View requeue error:", error.message);
+        }
+    }
+
+    memoryBuffer.unshift(...events);
+};
+
+/**
+ * Upserts hitting the unique index mean the batch was already applied to that viewer
+ */
+const ignoreAppliedUpserts = (error) => {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some((writeError) => writeError.code !== 11000)) throw error;
+};
+
+/**
+ * Apply one batch of view events
+ * Every write is skipped for documents that already recorded the batch ID,
+ * so a batch retried after a partial failure is never counted twice.
+ */
+const applyViewBatch = async (batchId, events) => {
+    const reportCounts = new Map();
+    const viewers = new Map();
+
+    for (const event of events) {
+        reportCounts.set(event.reportId, (reportCounts.get(event.reportId) || 0) + 1);
+
+        const key = `${event.reportId}:${event.userId}`;
+        const viewer = viewers.get(key);
+        if (!viewer) {
+            viewers.set(key, { ...event, count: 1, firstViewedAt: event.viewedAt });
+        } else {
+            viewer.count += 1;
+            viewer.firstViewedAt = Math.min(viewer.firstViewedAt, event.viewedAt);
+            if (event.viewedAt > viewer.viewedAt) Object.assign(viewer, { role: event.role, viewedAt: event.viewedAt });
+        }
+    }
+
+    const markBatch = { viewBatchIds: { $each: [batchId], $slice: -APPLIED_BATCHES_KEPT } };
+
+    await Report.bulkWrite(
+        [...reportCounts].map(([reportId, count]) => ({
+            updateOne: {
+                filter: { _id: reportId, viewBatchIds: { $ne: batchId } },
+                update: { $inc: { viewsCount: count }, $push: markBatch },
+            },
+        })),
+        { ordered: false }
+    );
+
+    await ReportView.bulkWrite(
+        [...viewers.values()].map((viewer) => ({
+            updateOne: {
+                filter: { reportId: viewer.reportId, userId: viewer.userId, viewBatchIds: { $ne: batchId } },
+                update: {
+                    $inc: { viewCount: viewer.count },
+                    $min: { firstViewedAt: new Date(viewer.firstViewedAt) },
+                    $max: { lastViewedAt: new Date(viewer.viewedAt) },
+                    $set: { role: viewer.role },
+                    $push: markBatch,
+                },
+                upsert: true,
+            },
+        })),
+        { ordered: false }
+    ).catch(ignoreAppliedUpserts);
+
+    return reportCounts.size;
+};
+
+/**
+ * Write buffered views to MongoDB in batches
+ * Report counters are updated with $inc and per-viewer records are upserted.
+ * Failed batches go back to the buffer with their batch ID and are retried safely.
+ * @returns {Promise<{events: number, reports: number}>} Flushed view and report counts
+ */
+export const flushViewBuffer = async () => {
+    if (isFlushing) return { events: 0, reports: 0 };
+    isFlushing = true;
+
+    try {
+        // Forget expired fallback windows
+        const now = Date.now();
+        for (const [key, expiresAt] of memorySeen) {
+            if (expiresAt <= now) memorySeen.delete(key);
+        }
+
+        const events = await drainBuffers();
+        if (events.length === 0) return { events: 0, reports: 0 };
+
+        // New events form a fresh batch; requeued ones keep the batch they were first tried in
+        const newBatchId = randomUUID();
+        const batches = new Map();
+        for (const event of events) {
+            event.batchId ??= newBatchId;
+            if (!batches.has(event.batchId)) batches.set(event.batchId, []);
+            batches.get(event.batchId).push(event);
+        }
+
+        let reports = 0;
+        const failed = [];
+        let lastError = null;
+
+        for (const [batchId, batchEvents] of batches) {
+            try {
+                reports += await applyViewBatch(batchId, batchEvents);
+            } catch (error) {
+                failed.push(...batchEvents);
+                lastError = error;
+            }
+        }
+
+        await requeueEvents(failed);
+        if (lastError) throw lastError;
+
+        return { events: events.length, reports };
+    } finally {
+        isFlushing = false;
+    }
+};
+
+/**
+ * Get who has seen a report, with totals per role
+ * Flushes pending views first so the breakdown is current.
+ * @param {string} reportId - Report ID
+ * @param {number} limit - Maximum viewers to list
+ * @returns {Promise<{uniqueViewers: number, byRole: Object, viewers: Object[]}>}
+ */
+export const getSeenBy = async (reportId, limit = 100) => {
+    await flushViewBuffer().catch((error) => console.error("View flush error:", error.message));
+    return ReportView.getSeenBy(reportId, limit);
+};
+
+export default {
+    recordView,
+    flushViewBuffer,
+    getSeenBy,
+};
@@ -0,0 +1,58 @@
+/**
+ * File Type Utility Functions
+ * Identify uploads from their contents instead of the client-supplied name/type
+ */
+
+// Stored file extension for each accepted MIME type
+export const MIME_EXTENSIONS = {
+    "image/jpeg": ".jpg",
+    "image/jpg": ".jpg",
+    "image/png": ".png",
+    "image/gif": ".gif",
+    "image/webp": ".webp",
+    "video/mp4": ".mp4",
+    "video/quicktime": ".mov",
+    "video/webm": ".webm",
+};
+
+// ISO base media (ftyp) brands that are still images rather than video
+const HEIF_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+const AVIF_BRANDS = ["avif", "avis"];
+
+/**
+ * Detect a file's MIME type from its magic bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if the format is not recognised
+ */
+export const detectMimeType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "image/jpeg";
+    if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return "image/png";
+    if (["GIF87a", "GIF89a"].includes(buffer.toString("binary", 0, 6))) return "image/gif";
+    if (buffer.toString("binary", 0, 4) === "RIFF" && buffer.toString("binary", 8, 12) === "WEBP") return "image/webp";
+    if (buffer.readUInt32BE(0) === 0x1a45dfa3) return "video/webm";
+
+    if (buffer.toString("binary", 4, 8) === "ftyp") {
+        const brand = buffer.toString("binary", 8, 12);
+        if (HEIF_BRANDS.includes(brand)) return "image/heic";
+        if (AVIF_BRANDS.includes(brand)) return "image/avif";
+        return brand === "qt  " ? "video/quicktime" : "video/mp4";
+    }
+
+    return null;
+};
+
+/**
+ * Get the extension to store a file under
+ * @param {string} mimeType - Validated MIME type
+ * @returns {string|null} Extension including the dot, or null for unsupported types
+ */
+export const getExtension = (mimeType) =>
+    Object.hasOwn(MIME_EXTENSIONS, mimeType) ? MIME_EXTENSIONS[mimeType] : null;
+
+export default {
+    MIME_EXTENSIONS,
+    detectMimeType,
+    getExtension,
+};
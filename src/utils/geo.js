@@ -0,0 +1,186 @@
+/**
+ * Geometry Utility Functions
+ * Planar point-in-polygon checks for GeoJSON geometries
+ */
+
+// Mean Earth radius in meters
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Great-circle distance between two positions (haversine)
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} Distance in meters
+ */
+export const distanceInMeters = ([lon1, lat1], [lon2, lat2]) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check if a point lies inside a linear ring (ray casting)
+ * @param {number} longitude - Point longitude
+ * @param {number} latitude - Point latitude
+ * @param {number[][]} ring - Array of [longitude, latitude] positions
+ * @returns {boolean} True if the point is inside the ring
+ */
+export const isPointInRing = (longitude, latitude, ring) => {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+
+        const intersects =
+            yi > latitude !== yj > latitude &&
+            longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi;
+
+        if (intersects) inside = !inside;
+    }
+
+    return inside;
+};
+
+/**
+ * Check if a point lies inside a GeoJSON Polygon (outer ring minus holes)
+ * @param {number} longitude - Point longitude
+ * @param {number} latitude - Point latitude
+ * @param {number[][][]} rings - Polygon coordinates
+ * @returns {boolean} True if the point is inside the polygon
+ */
+export const isPointInPolygon = (longitude, latitude, rings) => {
+    if (!Array.isArray(rings) || rings.length === 0) return false;
+
+    const [outer, ...holes] = rings;
+    if (!isPointInRing(longitude, latitude, outer)) return false;
+
+    return !holes.some((hole) => isPointInRing(longitude, latitude, hole));
+};
+
+/**
+ * Check if a point lies inside a GeoJSON Polygon or MultiPolygon geometry
+ * @param {number} longitude - Point longitude
+ * @param {number} latitude - Point latitude
+ * @param {{type: string, coordinates: Array}} geometry - GeoJSON geometry
+ * @returns {boolean} True if the point is inside the geometry
+ */
+export const isPointInGeometry = (longitude, latitude, geometry) => {
+    if (!geometry || !Array.isArray(geometry.coordinates)) return false;
+
+    if (geometry.type === "MultiPolygon") {
+        return geometry.coordinates.some((polygon) => isPointInPolygon(longitude, latitude, polygon));
+    }
+
+    return isPointInPolygon(longitude, latitude, geometry.coordinates);
+};
+
+/**
+ * Check that a position is a valid [longitude, latitude] pair
+ */
+const isValidPosition = (position) =>
+    Array.isArray(position) &&
+    position.length === 2 &&
+    position.every((value) => typeof value === "number" && Number.isFinite(value)) &&
+    position[0] >= -180 && position[0] <= 180 &&
+    position[1] >= -90 && position[1] <= 90;
+
+// Viewports at least this wide can't be a GeoJSON polygon: edges are great-circle
+// arcs, so a 180° edge is ambiguous and wider ones wrap the short way round
+const MAX_BOX_SPAN_DEGREES = 180;
+
+// Box corners at a pole would collapse into one point, which is not a valid ring
+const MAX_BOX_LATITUDE = 89.9;
+
+// Returned for viewports covering the whole world (low zoom levels); not valid GeoJSON,
+// so callers skip the geometry filter instead of passing it on
+export const WORLD_BOUNDS = Object.freeze({ type: "World" });
+
+const boxRing = (minLon, minLat, maxLon, maxLat) => [[
+    [minLon, minLat],
+    [maxLon, minLat],
+    [maxLon, maxLat],
+    [minLon, maxLat],
+    [minLon, minLat],
+]];
+
+/**
+ * Parse a "minLon,minLat,maxLon,maxLat" bounding box into GeoJSON
+ * Latitudes are clamped, longitudes wrapped, and boxes crossing the
+ * antimeridian are split into a MultiPolygon.
+ * @param {string} bbox - Comma separated bounding box
+ * @returns {{type: string, coordinates: Array}|null} Polygon, MultiPolygon or WORLD_BOUNDS; null if invalid
+ */
+export const parseBoundingBox = (bbox) => {
+    const values = String(bbox).split(",").map((value) => parseFloat(value));
+    if (values.length !== 4 || !values.every(Number.isFinite)) return null;
+
+    const [minLon, rawMinLat, maxLon, rawMaxLat] = values;
+    const minLat = Math.max(rawMinLat, -MAX_BOX_LATITUDE);
+    const maxLat = Math.min(rawMaxLat, MAX_BOX_LATITUDE);
+    if (minLat >= maxLat) return null;
+
+    // minLon > maxLon means the box crosses the antimeridian
+    let span = maxLon - minLon;
+    if (span < 0) span += 360;
+    if (span === 0) return null;
+    if (span >= MAX_BOX_SPAN_DEGREES) return WORLD_BOUNDS;
+
+    const west = ((((minLon + 180) % 360) + 360) % 360) - 180;
+    const east = west + span;
+
+    if (east <= 180) {
+        return { type: "Polygon", coordinates: boxRing(west, minLat, east, maxLat) };
+    }
+
+    return {
+        type: "MultiPolygon",
+        coordinates: [boxRing(west, minLat, 180, maxLat), boxRing(-180, minLat, east - 360, maxLat)],
+    };
+};
+
+/**
+ * Parse a GeoJSON Polygon (as a JSON string or object)
+ * Every ring must be closed and have at least four positions.
+ * @param {string|Object} polygon - GeoJSON Polygon geometry
+ * @returns {{type: string, coordinates: number[][][]}|null} Polygon, or null if invalid
+ */
+export const parsePolygon = (polygon) => {
+    let geometry = polygon;
+    if (typeof polygon === "string") {
+        try {
+            geometry = JSON.parse(polygon);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    if (!geometry || geometry.type !== "Polygon" || !Array.isArray(geometry.coordinates)) return null;
+    if (geometry.coordinates.length === 0) return null;
+
+    const ringsValid = geometry.coordinates.every((ring) => {
+        if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isValidPosition)) return false;
+
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        return first[0] === last[0] && first[1] === last[1];
+    });
+
+    return ringsValid ? { type: "Polygon", coordinates: geometry.coordinates } : null;
+};
+
+export default {
+    WORLD_BOUNDS,
+    distanceInMeters,
+    parseBoundingBox,
+    parsePolygon,
+    isPointInRing,
+    isPointInPolygon,
+    isPointInGeometry,
+};
@@ -0,0 +1,334 @@
+/**
+ * Image Metadata Utility Functions
+ * Read GPS/timestamp EXIF data and strip metadata from JPEG, PNG and WebP files
+ */
+
+const EXIF_HEADER = Buffer.from("Exif\0\0", "binary");
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// TIFF tags
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATETIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// JPEG segments that only carry colour information and must be kept
+const isColorSegment = (marker, segment) =>
+    (marker === 0xe2 && segment.toString("binary", 4, 15) === "ICC_PROFILE") || marker === 0xee;
+
+// PNG chunks holding EXIF data or free text
+const PNG_METADATA_CHUNKS = ["eXIf", "tEXt", "zTXt", "iTXt", "tIME"];
+
+const detectFormat = (buffer) => {
+    if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8) return "jpeg";
+    if (buffer.length > 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+    if (
+        buffer.length > 12 &&
+        buffer.toString("binary", 0, 4) === "RIFF" &&
+        buffer.toString("binary", 8, 12) === "WEBP"
+    ) {
+        return "webp";
+    }
+    return null;
+};
+
+/**
+ * Iterate JPEG header segments up to the start of the image data
+ * @returns {{segments: Array<{marker: number, data: Buffer}>, imageData: Buffer}}
+ */
+const readJpegSegments = (buffer) => {
+    const segments = [];
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) break;
+
+        const marker = buffer[offset + 1];
+        // Fill bytes before a marker
+        if (marker === 0xff) {
+            offset += 1;
+            continue;
+        }
+        // Start of scan - everything after is compressed image data
+        if (marker === 0xda) break;
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const end = offset + 2 + length;
+        if (end > buffer.length) break;
+
+        segments.push({ marker, data: buffer.subarray(offset, end) });
+        offset = end;
+    }
+
+    return { segments, imageData: buffer.subarray(offset) };
+};
+
+/**
+ * Find the raw TIFF (EXIF) block of an image
+ * @returns {Buffer|null} TIFF data or null if the image has none
+ */
+const findTiffData = (buffer, format) => {
+    if (format === "jpeg") {
+        const { segments } = readJpegSegments(buffer);
+        const exif = segments.find(
+            ({ marker, data }) => marker === 0xe1 && data.subarray(4, 10).equals(EXIF_HEADER)
+        );
+        return exif ? exif.data.subarray(10) : null;
+    }
+
+    if (format === "png") {
+        let offset = 8;
+        while (offset + 12 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString("binary", offset + 4, offset + 8);
+            if (type === "eXIf") return buffer.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+        }
+        return null;
+    }
+
+    if (format === "webp") {
+        let offset = 12;
+        while (offset + 8 <= buffer.length) {
+            const fourcc = buffer.toString("binary", offset, offset + 4);
+            const length = buffer.readUInt32LE(offset + 4);
+            if (fourcc === "EXIF") {
+                const data = buffer.subarray(offset + 8, offset + 8 + length);
+                // Some encoders keep the JPEG style header
+                return data.subarray(0, 6).equals(EXIF_HEADER) ? data.subarray(6) : data;
+            }
+            offset += 8 + length + (length % 2);
+        }
+        return null;
+    }
+
+    return null;
+};
+
+/**
+ * Read the tags of a TIFF image file directory
+ * @returns {Map<number, Function>} Tag -> value reader
+ */
+const readIfd = (tiff, offset, littleEndian) => {
+    const read16 = (at) => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const read32 = (at) => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+    const tags = new Map();
+
+    if (offset + 2 > tiff.length) return tags;
+    const count = read16(offset);
+
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+
+        const tag = read16(entry);
+        const type = read16(entry + 2);
+        const valueCount = read32(entry + 4);
+        const size = (TYPE_SIZES[type] || 1) * valueCount;
+        // Values over 4 bytes are stored elsewhere
+        const valueOffset = size > 4 ? read32(entry + 8) : entry + 8;
+        if (valueOffset + size > tiff.length) continue;
+
+        tags.set(tag, () => {
+            if (type === 2) return tiff.toString("ascii", valueOffset, valueOffset + valueCount).replace(/\0.*$/, "");
+            if (type === 3) return read16(valueOffset);
+            if (type === 4) return read32(valueOffset);
+            if (type === 5) {
+                return Array.from({ length: valueCount }, (_, index) => {
+                    const denominator = read32(valueOffset + index * 8 + 4);
+                    return denominator ? read32(valueOffset + index * 8) / denominator : 0;
+                });
+            }
+            return null;
+        });
+    }
+
+    return tags;
+};
+
+/**
+ * Parse an EXIF "YYYY:MM:DD HH:MM:SS" timestamp
+ * EXIF times are local to the camera; without an offset tag they are read as UTC.
+ */
+const parseExifDate = (value, offset) => {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || "");
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset || "") ? offset : "Z";
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toDecimalDegrees = (parts, ref) => {
+    if (!Array.isArray(parts) || parts.length < 3) return null;
+
+    const [degrees, minutes, seconds] = parts;
+    const value = degrees + minutes / 60 + seconds / 3600;
+    return ["S", "W"].includes(ref) ? -value : value;
+};
+
+/**
+ * Extract GPS position, capture time and orientation from an image's EXIF data
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{hasExif: boolean, latitude: number|null, longitude: number|null, takenAt: Date|null, orientation: number|null}}
+ */
+export const extractImageMetadata = (buffer) => {
+    const result = { hasExif: false, latitude: null, longitude: null, takenAt: null, orientation: null };
+    const tiff = findTiffData(buffer, detectFormat(buffer));
+    if (!tiff || tiff.length < 8) return result;
+
+    try {
+        const byteOrder = tiff.toString("binary", 0, 2);
+        if (byteOrder !== "II" && byteOrder !== "MM") return result;
+        const littleEndian = byteOrder === "II";
+
+        const ifd0Offset = littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+        const ifd0 = readIfd(tiff, ifd0Offset, littleEndian);
+        result.hasExif = true;
+        result.orientation = ifd0.get(TAG_ORIENTATION)?.() ?? null;
+
+        const exifIfd = ifd0.has(TAG_EXIF_IFD) ? readIfd(tiff, ifd0.get(TAG_EXIF_IFD)(), littleEndian) : new Map();
+        result.takenAt =
+            parseExifDate(exifIfd.get(TAG_DATETIME_ORIGINAL)?.(), exifIfd.get(TAG_OFFSET_TIME_ORIGINAL)?.()) ||
+            parseExifDate(ifd0.get(TAG_DATETIME)?.());
+
+        if (ifd0.has(TAG_GPS_IFD)) {
+            const gps = readIfd(tiff, ifd0.get(TAG_GPS_IFD)(), littleEndian);
+            const latitude = toDecimalDegrees(gps.get(TAG_GPS_LATITUDE)?.(), gps.get(TAG_GPS_LATITUDE_REF)?.());
+            const longitude = toDecimalDegrees(gps.get(TAG_GPS_LONGITUDE)?.(), gps.get(TAG_GPS_LONGITUDE_REF)?.());
+
+            // 0,0 is what some devices write when they have no fix
+            if (latitude !== null && longitude !== null && (latitude !== 0 || longitude !== 0)) {
+                result.latitude = latitude;
+                result.longitude = longitude;
+            }
+        }
+    } catch {
+        // Malformed EXIF - keep whatever was read
+    }
+
+    return result;
+};
+
+/**
+ * Build a minimal EXIF block holding only the orientation, so stripped
+ * photos are still displayed upright
+ */
+const buildOrientationTiff = (orientation) => {
+    const tiff = Buffer.alloc(26);
+    tiff.write("MM", 0, "binary");
+    tiff.writeUInt16BE(42, 2);
+    tiff.writeUInt32BE(8, 4); // IFD0 offset
+    tiff.writeUInt16BE(1, 8); // One entry
+    tiff.writeUInt16BE(TAG_ORIENTATION, 10);
+    tiff.writeUInt16BE(3, 12); // SHORT
+    tiff.writeUInt32BE(1, 14);
+    tiff.writeUInt16BE(orientation, 18);
+    tiff.writeUInt32BE(0, 22); // No next IFD
+    return tiff;
+};
+
+const stripJpeg = (buffer, orientation) => {
+    const { segments, imageData } = readJpegSegments(buffer);
+    // Drop APP1-APP15 (EXIF, XMP, IPTC...) and comments
+    const kept = segments.filter(
+        ({ marker, data }) => ((marker < 0xe1 || marker > 0xef) && marker !== 0xfe) || isColorSegment(marker, data)
+    );
+
+    const parts = [buffer.subarray(0, 2)];
+    // APP0 (JFIF) must stay first
+    const app0 = kept.findIndex(({ marker }) => marker === 0xe0);
+    if (app0 === 0) parts.push(kept.shift().data);
+
+    if (orientation && orientation !== 1) {
+        const tiff = buildOrientationTiff(orientation);
+        const header = Buffer.alloc(4);
+        header.writeUInt16BE(0xffe1, 0);
+        header.writeUInt16BE(2 + EXIF_HEADER.length + tiff.length, 2);
+        parts.push(header, EXIF_HEADER, tiff);
+    }
+
+    // Stop at the first end-of-image marker: anything after it (MPF secondary
+    // images, trailers) can carry its own EXIF block. 0xFF 0xD9 cannot occur
+    // inside entropy-coded data, where 0xFF is always stuffed or a restart marker.
+    const eoi = imageData.indexOf(JPEG_EOI);
+    parts.push(...kept.map(({ data }) => data), eoi === -1 ? imageData : imageData.subarray(0, eoi + 2));
+    return Buffer.concat(parts);
+};
+
+const stripPng = (buffer) => {
+    const parts = [buffer.subarray(0, 8)];
+    let offset = 8;
+
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString("binary", offset + 4, offset + 8);
+        const end = offset + 12 + length;
+
+        if (!PNG_METADATA_CHUNKS.includes(type)) parts.push(buffer.subarray(offset, end));
+        offset = end;
+    }
+
+    return Buffer.concat(parts);
+};
+
+const stripWebp = (buffer) => {
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const fourcc = buffer.toString("binary", offset, offset + 4);
+        const length = buffer.readUInt32LE(offset + 4);
+        const end = Math.min(offset + 8 + length + (length % 2), buffer.length);
+
+        if (fourcc !== "EXIF" && fourcc !== "XMP ") {
+            const chunk = Buffer.from(buffer.subarray(offset, end));
+            // Clear the EXIF and XMP flags of the extended header
+            if (fourcc === "VP8X") chunk[8] &= ~0x0c;
+            chunks.push(chunk);
+        }
+        offset = end;
+    }
+
+    const header = Buffer.from(buffer.subarray(0, 12));
+    const body = Buffer.concat(chunks);
+    header.writeUInt32LE(body.length + 4, 4);
+
+    return Buffer.concat([header, body]);
+};
+
+/**
+ * Remove EXIF, XMP and text metadata from an image
+ * The JPEG orientation is kept. Unsupported formats (HEIC, AVIF, GIF, TIFF...)
+ * are returned unchanged with supported set to false.
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{buffer: Buffer, stripped: boolean, supported: boolean}} Cleaned image,
+ *   whether anything was removed and whether the format could be cleaned at all
+ */
+export const stripImageMetadata = (buffer) => {
+    const format = detectFormat(buffer);
+    let cleaned = buffer;
+
+    if (format === "jpeg") cleaned = stripJpeg(buffer, extractImageMetadata(buffer).orientation);
+    if (format === "png") cleaned = stripPng(buffer);
+    if (format === "webp") cleaned = stripWebp(buffer);
+
+    return { buffer: cleaned, stripped: !cleaned.equals(buffer), supported: format !== null };
+};
+
+export default {
+    extractImageMetadata,
+    stripImageMetadata,
+};
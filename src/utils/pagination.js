@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+/**
+ * Pagination Utility Functions
+ * Opaque keyset cursors with a fallback to legacy page/limit paging
+ */
+
+/**
+ * Encode the sort key values of a document into an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {Object} sort - Sort specification (must end with _id)
+ * @returns {string} Base64url cursor
+ */
+export const encodeCursor = (doc, sort) => {
+    const values = {};
+    for (const field of Object.keys(sort)) {
+        values[field] = typeof doc.get === "function" ? doc.get(field) : doc[field];
+    }
+    return Buffer.from(EJSON.stringify(values)).toString("base64url");
+};
+
+// Cursors are client input: only plain sort key values may reach the filter, never operator objects
+const isCursorValue = (value) =>
+    value === null ||
+    ["string", "number", "boolean"].includes(typeof value) ||
+    value instanceof Date ||
+    value instanceof ObjectId;
+
+/**
+ * Decode a cursor back into sort key values
+ * @param {string} cursor - Cursor from a previous response
+ * @param {Object} sort - Sort specification the cursor must match
+ * @returns {Object|null} Sort key values, or null if the cursor is invalid
+ */
+export const decodeCursor = (cursor, sort) => {
+    try {
+        const decoded = EJSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        const values = {};
+
+        for (const field of Object.keys(sort)) {
+            if (!Object.hasOwn(decoded, field) || !isCursorValue(decoded[field])) return null;
+            values[field] = decoded[field];
+        }
+        return values;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Build a filter selecting documents that come after the cursor
+ * e.g. { severity: -1, _id: -1 } => severity < s OR (severity = s AND _id < id)
+ */
+const buildCursorFilter = (sort, values) => {
+    const fields = Object.keys(sort);
+
+    return {
+        $or: fields.map((field, i) => {
+            const clause = {};
+            for (const previous of fields.slice(0, i)) {
+                clause[previous] = values[previous];
+            }
+            clause[field] = { [sort[field] === 1 ? "$gt" : "$lt"]: values[field] };
+            return clause;
+        }),
+    };
+};
+
+/**
+ * Run a paginated find
+ * Without a cursor this is the legacy skip/limit paging including totals; its
+ * nextCursor switches the following requests to keyset pagination.
+ * @param {mongoose.Model} Model - Model to query
+ * @param {Object} filter - Query filter
+ * @param {Object} sort - Sort specification (_id is appended as a tiebreaker)
+ * @param {{cursor?: string, page?: string|number, limit: number}} options - Pagination params
+ * @param {Function} [decorate] - Adds populate/select to the query
+ * @returns {Promise<{items: Object[], pagination: Object}|null>} Null if the cursor is invalid
+ */
+export const paginate = async (Model, filter, sort, { cursor, page, limit }, decorate = (query) => query) => {
+    const sortWithId = { ...sort, _id: sort._id ?? Object.values(sort).at(-1) };
+
+    // Legacy page-based pagination
+    if (!cursor) {
+        const pageNumber = Math.max(parseInt(page) || 1, 1);
+        const skip = (pageNumber - 1) * limit;
+
+        const [items, total] = await Promise.all([
+            decorate(Model.find(filter).sort(sortWithId).skip(skip).limit(limit)),
+            Model.countDocuments(filter),
+        ]);
+
+        const hasMore = skip + items.length < total;
+
+        return {
+            items,
+            pagination: {
+                total,
+                page: pageNumber,
+                limit,
+                pages: Math.ceil(total / limit),
+                hasMore,
+                nextCursor: hasMore && items.length > 0 ? encodeCursor(items.at(-1), sortWithId) : null,
+            },
+        };
+    }
+
+    const values = decodeCursor(cursor, sortWithId);
+    if (!values) return null;
+
+    const query = { $and: [filter, buildCursorFilter(sortWithId, values)] };
+
+    // Fetch one extra document to know whether another page exists
+    const docs = await decorate(Model.find(query).sort(sortWithId).limit(limit + 1));
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+
+    return {
+        items,
+        pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(items.at(-1), sortWithId) : null,
+        },
+    };
+};
+
+export default {
+    encodeCursor,
+    decodeCursor,
+    paginate,
+};
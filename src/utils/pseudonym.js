@@ -0,0 +1,39 @@
+import crypto from "crypto";
+
+/**
+ * Pseudonym Utility Functions
+ * Generates readable aliases for anonymous participants
+ */
+
+const ANIMALS = [
+    "Owl", "Fox", "Otter", "Heron", "Badger", "Falcon", "Lynx", "Panda",
+    "Raven", "Koala", "Beaver", "Dolphin", "Gecko", "Hedgehog", "Ibis", "Jaguar",
+    "Kestrel", "Lemur", "Marmot", "Narwhal", "Ocelot", "Penguin", "Quokka", "Robin",
+    "Seal", "Tortoise", "Walrus", "Yak", "Zebra", "Bison", "Crane", "Puffin",
+];
+
+/**
+ * Generate a pseudonym that is not already taken
+ * The starting animal is derived from the seed so different reports
+ * don't all begin with the same alias.
+ * @param {string} seed - Seed for the starting position (e.g. report ID)
+ * @param {string[]} taken - Pseudonyms already in use
+ * @returns {string} Pseudonym such as "Anonymous Owl"
+ */
+export const generatePseudonym = (seed, taken = []) => {
+    const takenSet = new Set(taken);
+    const offset = crypto.createHash("sha256").update(String(seed)).digest().readUInt32BE(0) % ANIMALS.length;
+
+    for (let round = 1; ; round++) {
+        for (let i = 0; i < ANIMALS.length; i++) {
+            const animal = ANIMALS[(offset + i) % ANIMALS.length];
+            const pseudonym = round === 1 ? `Anonymous ${animal}` : `Anonymous ${animal} ${round}`;
+
+            if (!takenSet.has(pseudonym)) return pseudonym;
+        }
+    }
+};
+
+export default {
+    generatePseudonym,
+};
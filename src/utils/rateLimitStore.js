@@ -0,0 +1,117 @@
+import { MemoryStore } from "express-rate-limit";
+import { getRedisClient, isRedisReady } from "../config/redis.js";
+
+// Unwrap ioredis MULTI results, surfacing the first command error
+const execResults = async (multi) => {
+    const results = await multi.exec();
+    const failed = results.find(([error]) => error);
+    if (failed) throw failed[0];
+
+    return results.map(([, value]) => value);
+};
+
+/**
+ * Create an express-rate-limit store backed by Redis
+ * Counters are shared across instances; falls back to a per-process
+ * memory store while Redis is unavailable or failing.
+ * @param {string} prefix - Key prefix for the counters
+ * @returns {Object} express-rate-limit Store
+ */
+export const createRedisStore = (prefix) => {
+    const memoryStore = new MemoryStore();
+    let windowMs;
+
+    const redisKey = (key) => `${prefix}${key}`;
+
+    // A Redis error must not block requests - count them in memory instead
+    const withRedis = async (redisCall, memoryCall) => {
+        if (!isRedisReady()) return memoryCall();
+
+        try {
+            return await redisCall(getRedisClient());
+        } catch (error) {
+            console.error("Rate limit store error:", error.message);
+            return memoryCall();
+        }
+    };
+
+    return {
+        prefix,
+        localKeys: false,
+
+        init(options) {
+            windowMs = options.windowMs;
+            memoryStore.init(options);
+        },
+
+        async get(key) {
+            return withRedis(
+                async (client) => {
+                    const [hits, ttl] = await execResults(client.multi().get(redisKey(key)).pttl(redisKey(key)));
+
+                    if (hits === null) return undefined;
+
+                    return {
+                        totalHits: parseInt(hits, 10),
+                        resetTime: new Date(Date.now() + Math.max(ttl, 0)),
+                    };
+                },
+                () => memoryStore.get(key)
+            );
+        },
+
+        async increment(key) {
+            return withRedis(
+                async (client) => {
+                    // The key is created with its expiry in the same transaction, so it can never outlive the window
+                    const [, totalHits, ttl] = await execResults(
+                        client
+                            .multi()
+                            .set(redisKey(key), 0, "PX", windowMs, "NX")
+                            .incr(redisKey(key))
+                            .pttl(redisKey(key))
+                    );
+
+                    // Keys left without an expiry by older versions
+                    let remainingMs = ttl;
+                    if (remainingMs < 0) {
+                        await client.pexpire(redisKey(key), windowMs);
+                        remainingMs = windowMs;
+                    }
+
+                    return {
+                        totalHits,
+                        resetTime: new Date(Date.now() + remainingMs),
+                    };
+                },
+                () => memoryStore.increment(key)
+            );
+        },
+
+        async decrement(key) {
+            return withRedis(
+                async (client) => {
+                    await client.decr(redisKey(key));
+                },
+                () => memoryStore.decrement(key)
+            );
+        },
+
+        async resetKey(key) {
+            return withRedis(
+                async (client) => {
+                    await client.del(redisKey(key));
+                },
+                () => memoryStore.resetKey(key)
+            );
+        },
+
+        shutdown() {
+            memoryStore.shutdown();
+        },
+    };
+};
+
+export default {
+    createRedisStore,
+};